@@ -8,6 +8,9 @@ export class AudioSystem {
 
         this.context = context;
         this.gainNode = gainNode;
+
+        /** @type {{ source: AudioBufferSourceNode, gainNode: GainNode }} */
+        this.music = null;
     }
 
     resume() {
@@ -38,4 +41,36 @@ export class AudioSystem {
 
         return this;
     }
+
+    /**
+     * Plays looped music, cross-fading from the music that is playing.
+     *
+     * @param {AudioBuffer} buffer
+     * @param {number} fadeTime Cross-fade duration, in seconds.
+     */
+    playMusic(buffer, fadeTime = 2) {
+        const { context, music } = this;
+        const { currentTime } = context;
+
+        if (music !== null) {
+            music.gainNode.gain.setValueAtTime(music.gainNode.gain.value, currentTime);
+            music.gainNode.gain.linearRampToValueAtTime(0, currentTime + fadeTime);
+            music.source.stop(currentTime + fadeTime);
+        }
+
+        const gainNode = context.createGain();
+        gainNode.connect(this.gainNode);
+        gainNode.gain.setValueAtTime(0, currentTime);
+        gainNode.gain.linearRampToValueAtTime(1, currentTime + fadeTime);
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(gainNode);
+        source.start();
+
+        this.music = { source, gainNode };
+
+        return this;
+    }
 }
@@ -0,0 +1,178 @@
+import { TileRegistry } from './tiles.js';
+
+/**
+ * @typedef {Object} Biome
+ * @property {string} name
+ * @property {number} depth Row where the biome starts.
+ * @property {Object.<string, number>} tiles Spawn weight factors by tile name. Tiles that are not listed keep their weight.
+ * @property {number[]} background Background colour, as sRGB components from 0 to 1.
+ * @property {number} bloom Bloom intensity.
+ * @property {string} music Music name in the assets directory.
+ */
+
+/**
+ * @typedef {Object} BiomeBlend
+ * @property {Biome} biome Biome at the depth.
+ * @property {Biome} next Biome the depth is blended with, which is the same biome outside of transition zones.
+ * @property {number} t Blend factor from 0 (only `biome`) to 1 (only `next`).
+ */
+
+function isColor(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(component => typeof component === 'number' && component >= 0 && component <= 1);
+}
+
+function lerp(a, b, t) {
+    return a + t * (b - a);
+}
+
+export class BiomeRegistry {
+    /**
+     * @param {Object} data Parsed biome definition file.
+     * @param {TileRegistry} tileTypes
+     */
+    constructor(data, tileTypes) {
+        /** @type {Biome[]} */
+        this.biomes = [];
+        this.transitionRows = 0;
+
+        const errors = [];
+        if (data === null || typeof data !== 'object' || !Array.isArray(data.biomes) || data.biomes.length === 0) {
+            errors.push('"biomes" must be a non-empty array');
+        } else {
+            const { transitionRows, biomes } = data;
+
+            if (typeof transitionRows !== 'number' || transitionRows < 0)
+                errors.push('"transitionRows" must be a non-negative number');
+            else
+                this.transitionRows = transitionRows;
+
+            for (let i = 0; i < biomes.length; i++)
+                this.add(biomes[i], i, tileTypes, errors);
+
+            if (this.biomes.length > 0 && this.biomes[0].depth !== 0)
+                errors.push('the first biome must start at depth 0');
+        }
+
+        if (errors.length > 0)
+            throw new Error("Can't load biome definitions:\n" + errors.join('\n'));
+    }
+
+    /**
+     * @param {Object} definition
+     * @param {number} index
+     * @param {TileRegistry} tileTypes
+     * @param {string[]} errors
+     */
+    add(definition, index, tileTypes, errors) {
+        const { biomes } = this;
+
+        if (definition === null || typeof definition !== 'object') {
+            errors.push(`biome #${index}: must be an object`);
+            return;
+        }
+
+        const { name, depth, tiles, background, bloom, music } = definition;
+        const prefix = `biome #${index}` + (typeof name === 'string' ? ` ("${name}")` : '');
+        const errorCount = errors.length;
+
+        if (typeof name !== 'string' || name === '')
+            errors.push(`${prefix}: "name" must be a non-empty string`);
+
+        if (!Number.isInteger(depth) || depth < 0)
+            errors.push(`${prefix}: "depth" must be a non-negative integer`);
+        else if (biomes.length > 0 && biomes[biomes.length - 1].depth >= depth)
+            errors.push(`${prefix}: biomes must be sorted by depth`);
+
+        if (tiles === null || typeof tiles !== 'object') {
+            errors.push(`${prefix}: "tiles" must be an object`);
+        } else {
+            for (const [tileName, factor] of Object.entries(tiles)) {
+                if (!tileTypes.typesByName.has(tileName))
+                    errors.push(`${prefix}: "tiles" refers to unknown tile "${tileName}"`);
+                else if (typeof factor !== 'number' || factor < 0)
+                    errors.push(`${prefix}: "tiles.${tileName}" must be a non-negative number`);
+            }
+        }
+
+        if (!isColor(background))
+            errors.push(`${prefix}: "background" must be an array of 3 numbers from 0 to 1`);
+
+        if (typeof bloom !== 'number' || bloom < 0)
+            errors.push(`${prefix}: "bloom" must be a non-negative number`);
+
+        if (typeof music !== 'string' || music === '')
+            errors.push(`${prefix}: "music" must be a non-empty string`);
+
+        if (errors.length > errorCount) return;
+
+        biomes.push({ name, depth, tiles, background, bloom, music });
+    }
+
+    /**
+     * Names of all music used by the biomes.
+     */
+    get music() {
+        return [...new Set(this.biomes.map(biome => biome.music))];
+    }
+
+    /**
+     * Returns the biome at the depth and the biome it is blended with in a transition zone.
+     * A transition zone is centered at the depth where the next biome starts.
+     *
+     * @param {number} depth
+     * @returns {BiomeBlend}
+     */
+    getBlend(depth) {
+        const { biomes, transitionRows } = this;
+
+        const halfTransition = transitionRows / 2;
+        for (let i = biomes.length - 1; i >= 0; i--) {
+            const biome = biomes[i];
+            if (depth < biome.depth - halfTransition) continue;
+
+            if (i > 0 && depth < biome.depth + halfTransition)
+                return { biome: biomes[i - 1], next: biome, t: (depth - biome.depth + halfTransition) / transitionRows };
+
+            return { biome, next: biome, t: 0 };
+        }
+
+        return { biome: biomes[0], next: biomes[0], t: 0 };
+    }
+
+    /**
+     * Returns the dominant biome at the depth.
+     *
+     * @param {number} depth
+     */
+    getBiome(depth) {
+        const { biome, next, t } = this.getBlend(depth);
+        return (t < 0.5) ? biome : next;
+    }
+
+    /**
+     * @param {string} tileName
+     * @param {number} depth
+     */
+    getTileWeightScale(tileName, depth) {
+        const { biome, next, t } = this.getBlend(depth);
+        return lerp(biome.tiles[tileName] ?? 1, next.tiles[tileName] ?? 1, t);
+    }
+
+    /**
+     * Returns the background colour at the depth, as linear RGB components.
+     *
+     * @param {number} depth
+     */
+    getBackground(depth) {
+        const { biome, next, t } = this.getBlend(depth);
+        return biome.background.map((component, i) => Math.pow(lerp(component, next.background[i], t), 2.2));
+    }
+
+    /**
+     * @param {number} depth
+     */
+    getBloom(depth) {
+        const { biome, next, t } = this.getBlend(depth);
+        return lerp(biome.bloom, next.bloom, t);
+    }
+}
@@ -0,0 +1,116 @@
+/** Rows the view fits when the screen is wide enough, fewer fit if the shaft would be wider than the screen. */
+const FIT_ROWS = 12;
+
+/** Columns of empty space kept on each side of the shaft. */
+const SIDE_COLUMNS = 1;
+
+/** Time the view takes to cover most of the distance to its target, in milliseconds. */
+const FOLLOW_TIME = 150;
+
+/** Rows the view looks ahead while the target falls. */
+const LOOK_AHEAD_ROWS = 3;
+
+/**
+ * View of the world, which scales tiles to fit the screen, centers the shaft horizontally
+ * and follows the target vertically with smoothing.
+ */
+export class Camera {
+    constructor() {
+        /** World position of the top left corner of the view. */
+        this.x = 0;
+        this.y = 0;
+
+        /** Size of a tile on the screen, in CSS pixels. */
+        this.tileSize = 64;
+
+        /** Size of the view, in CSS pixels. */
+        this.width = 0;
+        this.height = 0;
+
+        // Whether the next follow jumps to the target instead of moving towards it
+        this.isSnapping = true;
+    }
+
+    /** Rows that fit the view. */
+    get rows() { return this.height / this.tileSize; }
+
+    /** Columns that fit the view. */
+    get columns() { return this.width / this.tileSize; }
+
+    /**
+     * Scales tiles so the shaft fits the view and centers it horizontally.
+     *
+     * @param {number} width View width, in CSS pixels.
+     * @param {number} height View height, in CSS pixels.
+     * @param {number} columns Shaft width, in tiles.
+     * @param {number} pixelRatio Device pixels per CSS pixel.
+     */
+    fit(width, height, columns, pixelRatio = 1) {
+        this.width = width;
+        this.height = height;
+
+        // Tiles are a whole number of device pixels, so there are no seams between them
+        const size = Math.min(height / FIT_ROWS, width / (columns + 2 * SIDE_COLUMNS));
+        this.tileSize = Math.max(Math.floor(size * pixelRatio), 1) / pixelRatio;
+
+        this.x = (columns - this.columns) / 2;
+
+        return this;
+    }
+
+    /**
+     * Moves the view towards the row above the target, or jumps to it after a reset or if it is out of view.
+     *
+     * @param {number} targetY
+     * @param {number} rowsAbove Rows of the view above the target.
+     * @param {boolean} isFalling Whether to look ahead below the target.
+     * @param {number} deltaTime
+     */
+    follow(targetY, rowsAbove, isFalling, deltaTime) {
+        const y = targetY - rowsAbove + (isFalling ? LOOK_AHEAD_ROWS : 0);
+
+        if (this.isSnapping || Math.abs(y - this.y) > this.rows) {
+            this.y = targetY - rowsAbove;
+            this.isSnapping = false;
+        } else {
+            this.y += (y - this.y) * (1 - Math.exp(-deltaTime / FOLLOW_TIME));
+        }
+
+        return this;
+    }
+
+    /**
+     * Makes the next follow jump to the target, e.g. when a new run starts.
+     */
+    reset() {
+        this.isSnapping = true;
+
+        return this;
+    }
+
+    /**
+     * Converts a world position to a position on the screen, in CSS pixels.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @returns {[number, number]}
+     */
+    worldToScreen(x, y) {
+        const { tileSize } = this;
+
+        return [(x - this.x) * tileSize, (y - this.y) * tileSize];
+    }
+
+    /**
+     * Converts a position on the screen, in CSS pixels, to a world position.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @returns {[number, number]}
+     */
+    screenToWorld(x, y) {
+        const { tileSize } = this;
+
+        return [x / tileSize + this.x, y / tileSize + this.y];
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * @typedef {Object} Cluster
+ * @property {number} id
+ * @property {number} typeId
+ * @property {Set<number>} tiles Keys of the tiles in the cluster.
+ * @property {boolean} isDirty Whether a tile was removed from the cluster, so it may have split into several clusters.
+ */
+
+/**
+ * Keeps track of clusters of adjacent tiles of the same type.
+ *
+ * Added tiles are merged with the adjacent clusters right away, smaller clusters into larger ones, so adding a tile
+ * takes time proportional to the smaller of the clusters it joins. Removed tiles only mark their cluster as dirty,
+ * and it is split when it is queried next time. Splitting flood-fills the whole cluster, which is linear in its size,
+ * but removing a whole cluster tile by tile only splits it once, when it is queried after that.
+ */
+export class ClusterIndex {
+    /**
+     * @param {number} columns
+     * @param {(typeId: number) => boolean} canJoin Whether tiles of the type join adjacent tiles of the same type.
+     */
+    constructor(columns, canJoin) {
+        this.columns = columns;
+        this.canJoin = canJoin;
+
+        /** @type {Map<number, number>} Cluster ids by tile keys. */
+        this.labels = new Map();
+
+        /** @type {Map<number, Cluster>} */
+        this.clusters = new Map();
+
+        this.nextId = 1;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    getKey(x, y) {
+        return x + y * this.columns;
+    }
+
+    /**
+     * Returns keys of the tiles adjacent to the tile.
+     *
+     * @param {number} key
+     */
+    getNeighbours(key) {
+        const { columns } = this;
+
+        const x = key % columns;
+        const neighbours = [key - columns, key + columns];
+        if (x > 0)
+            neighbours.push(key - 1);
+
+        if (x < columns - 1)
+            neighbours.push(key + 1);
+
+        return neighbours;
+    }
+
+    /**
+     * @param {number} typeId
+     * @param {Set<number>} tiles
+     */
+    createCluster(typeId, tiles) {
+        const { labels, clusters } = this;
+
+        const cluster = { id: this.nextId++, typeId, tiles, isDirty: false };
+        clusters.set(cluster.id, cluster);
+
+        for (const key of tiles)
+            labels.set(key, cluster.id);
+
+        return cluster;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} typeId
+     */
+    add(x, y, typeId) {
+        const { labels, clusters } = this;
+
+        const key = this.getKey(x, y);
+        let cluster = this.createCluster(typeId, new Set([key]));
+        if (!this.canJoin(typeId)) return;
+
+        for (const neighbour of this.getNeighbours(key)) {
+            const other = clusters.get(labels.get(neighbour));
+            if (typeof other === 'undefined' || other === cluster || other.typeId !== typeId) continue;
+
+            const [larger, smaller] = (other.tiles.size >= cluster.tiles.size) ? [other, cluster] : [cluster, other];
+            for (const tile of smaller.tiles) {
+                larger.tiles.add(tile);
+                labels.set(tile, larger.id);
+            }
+
+            larger.isDirty ||= smaller.isDirty;
+            clusters.delete(smaller.id);
+            cluster = larger;
+        }
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    remove(x, y) {
+        const { labels, clusters } = this;
+
+        const key = this.getKey(x, y);
+        const cluster = clusters.get(labels.get(key));
+        if (typeof cluster === 'undefined') return;
+
+        labels.delete(key);
+        cluster.tiles.delete(key);
+
+        if (cluster.tiles.size === 0) {
+            clusters.delete(cluster.id);
+            return;
+        }
+
+        // A tile with a single neighbour in the cluster can't split it
+        let neighbourCount = 0;
+        for (const neighbour of this.getNeighbours(key))
+            if (labels.get(neighbour) === cluster.id)
+                neighbourCount++;
+
+        if (neighbourCount > 1)
+            cluster.isDirty = true;
+    }
+
+    /**
+     * Returns keys of the tiles connected to the tile through the unvisited tiles, and removes them from the unvisited.
+     *
+     * @param {number} start
+     * @param {Set<number>} unvisited
+     */
+    fill(start, unvisited) {
+        unvisited.delete(start);
+
+        const component = new Set();
+        const queue = [start];
+        while (queue.length) {
+            const key = queue.pop();
+            component.add(key);
+
+            for (const neighbour of this.getNeighbours(key)) {
+                if (!unvisited.has(neighbour)) continue;
+
+                unvisited.delete(neighbour);
+                queue.push(neighbour);
+            }
+        }
+
+        return component;
+    }
+
+    /**
+     * Splits the dirty cluster into connected clusters. The largest one keeps the cluster id.
+     *
+     * @param {Cluster} cluster
+     */
+    resolve(cluster) {
+        const components = [];
+        const unvisited = new Set(cluster.tiles);
+        for (const start of cluster.tiles)
+            if (unvisited.has(start))
+                components.push(this.fill(start, unvisited));
+
+        components.sort((a, b) => b.size - a.size);
+
+        cluster.tiles = components[0];
+        cluster.isDirty = false;
+
+        for (let i = 1; i < components.length; i++)
+            this.createCluster(cluster.typeId, components[i]);
+    }
+
+    /**
+     * Returns the cluster the tile belongs to, or null for empty tiles.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @returns {Cluster|null}
+     */
+    getCluster(x, y) {
+        const cluster = this.clusters.get(this.labels.get(this.getKey(x, y)));
+        if (typeof cluster === 'undefined') return null;
+
+        if (!cluster.isDirty) return cluster;
+
+        this.resolve(cluster);
+
+        return this.clusters.get(this.labels.get(this.getKey(x, y)));
+    }
+
+    /**
+     * Returns keys of the tiles in the same cluster as the tile, or an empty set for empty tiles.
+     * Unlike `getCluster`, it doesn't split dirty clusters, so drawing can call it without changing the index.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @returns {Set<number>}
+     */
+    getConnectedKeys(x, y) {
+        const key = this.getKey(x, y);
+        const cluster = this.clusters.get(this.labels.get(key));
+        if (typeof cluster === 'undefined') return new Set();
+
+        return cluster.isDirty ? this.fill(key, new Set(cluster.tiles)) : cluster.tiles;
+    }
+
+    /**
+     * Returns tile positions of the cluster, row by row, so the order doesn't depend on how the cluster was built.
+     * Sorting takes time linear-logarithmic in the cluster size.
+     *
+     * @param {Cluster} cluster
+     */
+    getTiles(cluster) {
+        const { columns } = this;
+
+        return [...cluster.tiles].sort((a, b) => a - b).map(key => ({ x: key % columns, y: Math.floor(key / columns) }));
+    }
+}
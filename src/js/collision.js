@@ -0,0 +1,121 @@
+/**
+ * @typedef {Object} Box
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} Contacts
+ * @property {boolean} ground Whether the movement down was stopped.
+ * @property {boolean} ceiling Whether the movement up was stopped.
+ * @property {boolean} left Whether the movement to the left was stopped.
+ * @property {boolean} right Whether the movement to the right was stopped.
+ * @property {Box|null} groundBox Box the movement down was stopped by, or null if it was stopped by a cell or not stopped.
+ */
+
+/** Overlaps smaller than this are ignored, so boxes that touch don't block each other. */
+const SKIN = 1e-6;
+
+/**
+ * Returns the position the box reaches moving along one axis before it hits a solid cell or another box.
+ *
+ * @param {Box} box
+ * @param {boolean} isHorizontal
+ * @param {number} delta
+ * @param {(x: number, y: number) => boolean} isSolid
+ * @param {Box[]} boxes
+ * @param {number} margin
+ * @returns {{ position: number, hit: Box|null }}
+ */
+function sweep(box, isHorizontal, delta, isSolid, boxes, margin) {
+    const [p, size, q, crossSize] = isHorizontal ? ['x', 'width', 'y', 'height'] : ['y', 'height', 'x', 'width'];
+    const isCellSolid = isHorizontal ? isSolid : (i, j) => isSolid(j, i);
+
+    const start = box[q] + margin;
+    const end = box[q] + box[crossSize] - margin;
+    const firstCell = Math.floor(start + SKIN);
+    const lastCell = Math.floor(end - SKIN);
+
+    let position = box[p] + delta;
+    let hit = null;
+
+    // Cells past the one the center is in are tested even if the box already overlaps them, which happens
+    // when the narrowed box drops into a gap off the grid, so it is pushed back out instead of entering them
+    const centerCell = Math.floor(box[p] + box[size] / 2);
+
+    if (delta > 0) {
+        const edge = box[p] + box[size];
+        search: for (let cell = centerCell + 1; cell < edge + delta; cell++)
+            for (let i = firstCell; i <= lastCell; i++)
+                if (isCellSolid(cell, i)) {
+                    position = Math.min(position, cell - box[size]);
+                    break search;
+                }
+
+        for (const other of boxes)
+            if (other[q] < end - SKIN && other[q] + other[crossSize] > start + SKIN && other[p] >= edge - SKIN && other[p] - box[size] < position) {
+                position = other[p] - box[size];
+                hit = other;
+            }
+    } else {
+        const edge = box[p];
+        search: for (let cell = centerCell - 1; cell + 1 > edge + delta; cell--)
+            for (let i = firstCell; i <= lastCell; i++)
+                if (isCellSolid(cell, i)) {
+                    position = Math.max(position, cell + 1);
+                    break search;
+                }
+
+        for (const other of boxes)
+            if (other[q] < end - SKIN && other[q] + other[crossSize] > start + SKIN && other[p] + other[size] <= edge + SKIN && other[p] + other[size] > position) {
+                position = other[p] + other[size];
+                hit = other;
+            }
+    }
+
+    return { position, hit };
+}
+
+/**
+ * Moves the box through a grid of unit cells and other boxes, first horizontally, then vertically,
+ * stopping it at the first solid cell or box on each axis. Fast movement can't skip over cells,
+ * and boxes that already overlap the moving box don't stop it, so it can't get stuck in them.
+ *
+ * @param {Box} box The box to move, it is changed in place.
+ * @param {number} dx
+ * @param {number} dy
+ * @param {(x: number, y: number) => boolean} isSolid Whether the cell is solid.
+ * @param {Box[]} boxes Other boxes that stop the movement.
+ * @param {number} margin The box is narrowed by this on both sides across the movement,
+ * so it slips into gaps it is nearly aligned with.
+ * @returns {Contacts}
+ */
+export function moveBox(box, dx, dy, isSolid, boxes = [], margin = 0) {
+    const contacts = { ground: false, ceiling: false, left: false, right: false, groundBox: null };
+
+    if (dx !== 0) {
+        const { position } = sweep(box, true, dx, isSolid, boxes, margin);
+        if (position !== box.x + dx)
+            contacts[(dx > 0) ? 'right' : 'left'] = true;
+
+        box.x = position;
+    }
+
+    if (dy !== 0) {
+        const { position, hit } = sweep(box, false, dy, isSolid, boxes, margin);
+        if (position !== box.y + dy) {
+            if (dy > 0) {
+                contacts.ground = true;
+                contacts.groundBox = hit;
+            } else {
+                contacts.ceiling = true;
+            }
+        }
+
+        box.y = position;
+    }
+
+    return contacts;
+}
@@ -1,13 +1,45 @@
 import { AudioSystem } from './audio.js';
+import { BiomeRegistry } from './biomes.js';
+import { Camera } from './camera.js';
+import { moveBox } from './collision.js';
+import { GROUND_TILE, LevelGenerator, WALL_TILE } from './generator.js';
 import { ShaderProgram, Framebuffer, Renderbuffer, Texture, Font, Renderer, SpriteBatch } from './graphics.js';
+import { InputSystem, getKeyName } from './input.js';
+import { Inventory } from './inventory.js';
+import { DEFAULT_COLUMNS, MAX_COLUMNS, MIN_COLUMNS, LevelRowSource, isValidColumns, parseLevel } from './level.js';
+import { createSeed, hashNumbers } from './random.js';
+import { CHECKSUM_INTERVAL, RECORDED_ACTIONS, Replay, ReplayRecorder, parseReplay } from './replay.js';
+import { SpatialGrid } from './spatial.js';
+import { TileRegistry } from './tiles.js';
+import { World } from './world.js';
 
 class GameObject {
     get objectType() { return 'GameObject'; }
 
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+
+        // Position before the last simulation step, drawing interpolates from it
+        this.prevX = x;
+        this.prevY = y;
+    }
+
+    get drawX() { return this.prevX + interpolationFactor * (this.x - this.prevX); }
+
+    get drawY() { return this.prevY + interpolationFactor * (this.y - this.prevY); }
+
     /**
      * @param {number} deltaTime
      */
-    update(deltaTime) { }
+    update(deltaTime) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
 
     draw() { }
 }
@@ -15,16 +47,62 @@ class GameObject {
 class TileEntity extends GameObject {
     get objectType() { return 'TileEntity'; }
 
-    constructor(x, y, typeId, group = null) {
-        super();
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} typeId
+     * @param {TileGroup} group
+     */
+    constructor(x, y, typeId, group) {
+        super(x, y);
 
-        this.x = x;
-        this.y = y;
+        this.width = 1;
+        this.height = 1;
         this.typeId = typeId;
+        this.group = group;
+
+        tileEntities.insert(this, x, y);
+    }
+
+    draw() {
+        super.draw();
+
+        const tileType = tileTypes.get(this.typeId);
+        const textureName = tileType.texture;
+        const texture = textures[textureName];
+
+        // Wobble with a growing amplitude before falling
+        const { lifetime, isFalling } = this.group;
+        const wobble = isFalling ? 0 : 0.05 * (lifetime / WOBBLE_TIME) * Math.sin(lifetime / 25);
+
+        const [x, y] = camera.worldToScreen(this.drawX + wobble, this.drawY);
+        spriteBatch.drawRectangle(texture, x, y, camera.tileSize, camera.tileSize, 0, 0, 1, 1, 1, 1, 1, 1);
+    }
+}
+
+/**
+ * Connected tile entities that wobble, fall and land together as one rigid body.
+ */
+class TileGroup extends GameObject {
+    get objectType() { return 'TileGroup'; }
+
+    /**
+     * @param {number} id
+     * @param {number} chain Chain count of the clear that has released the tiles, 0 if the player has broken them.
+     */
+    constructor(id, chain) {
+        super();
+
+        this.id = id;
+        this.chain = chain;
+
+        /** @type {TileEntity[]} */
+        this.tiles = [];
+
         this.lifetime = 0;
         this.isFalling = false;
+        this.fallTime = 0;
         this.fallSpeed = 0.5;
-        this.group = group;
     }
 
     /**
@@ -33,233 +111,638 @@ class TileEntity extends GameObject {
     update(deltaTime) {
         super.update(deltaTime);
 
+        const { tiles } = this;
+        for (const tile of tiles)
+            tile.update(deltaTime);
+
+        if (player.effects.has('slow'))
+            deltaTime *= SLOW_TIME_SCALE;
+
         this.lifetime += deltaTime;
-        if (!this.isFalling && this.lifetime > 2000)
+        if (!this.isFalling && this.lifetime > WOBBLE_TIME)
             this.isFalling = true;
 
-        if (this.isFalling)
-            this.y += deltaTime * this.fallSpeed / TILE_SIZE;
-
         const EPSILON = 0.1;
 
-        const entityBelow = getTileEntityAt(this.x + EPSILON, this.y + 1);
-        if (getTileAt(this.x + EPSILON, this.y + 1) !== 0 || entityBelow !== null && entityBelow.group !== this.group) {
+        // Every tile is swept by the fall distance, the group moves only as far as its most constrained tile.
+        // The group lands as soon as any of its tiles is supported, even while it still wobbles.
+        let distance = deltaTime * this.fallSpeed / TILE_SIZE;
+        let supportDistance = Infinity;
+        let support = null;
+        for (const tile of tiles) {
+            const box = { x: tile.x, y: tile.y, width: 1, height: 1 };
+            const obstacles = tileEntities.queryRect(tile.x, tile.y, 1, 1 + distance).filter(other => other.group !== this);
+            const contacts = moveBox(box, 0, distance, isSolidCell, obstacles);
+            if (contacts.ground && box.y - tile.y < supportDistance) {
+                supportDistance = box.y - tile.y;
+                support = contacts.groundBox;
+            }
+        }
+
+        if (this.isFalling) {
+            this.fallTime += deltaTime;
+
+            distance = Math.min(distance, supportDistance);
+            for (const { x, y } of tiles) {
+                if (!player.isAlive || Math.abs(x - player.x) >= 1 - EPSILON || y + distance + 1 <= player.y + EPSILON || y >= player.y + 1) continue;
+
+                // The group rests on the player's head for a moment, so the player can still dodge it
+                if (this.fallTime < CRUSH_GRACE_TIME || player.isInvulnerable)
+                    distance = Math.min(Math.max(player.y - 1 - y, 0), distance);
+                else
+                    player.crush(this);
+
+                // The shield has shattered the group
+                if (this.tiles.length === 0) return;
+            }
+
+            for (const tile of tiles) {
+                tile.y += distance;
+                tileEntities.update(tile, tile.x, tile.y);
+            }
+        } else {
+            distance = 0;
+        }
+
+        if (supportDistance > distance) return;
+
+        if (support === null)
+            this.land();
+        else
+            this.mergeInto(support.group);
+    }
+
+    land() {
+        const { tiles } = this;
+
+        for (const tile of tiles) {
+            tile.y = Math.round(tile.y);
+            tileEntities.remove(tile);
+            setTileAt(tile.x, tile.y, tile.typeId);
+        }
+
+        objectDeleteQueue.add(this);
+        playSound(tileTypes.get(tiles[0].typeId).landSound);
+        landedGroups.push(this);
+    }
+
+    /**
+     * Moves the tiles to the group they have landed on.
+     *
+     * @param {TileGroup} group
+     */
+    mergeInto(group) {
+        for (const tile of this.tiles) {
+            tile.group = group;
+            group.tiles.push(tile);
+        }
+
+        group.chain = Math.max(group.chain, this.chain);
+        this.tiles = [];
+
+        objectDeleteQueue.add(this);
+    }
+
+    /**
+     * Removes the group with all its tiles.
+     */
+    shatter() {
+        for (const tile of this.tiles)
+            tileEntities.remove(tile);
+
+        this.tiles = [];
+
+        objectDeleteQueue.add(this);
+    }
+
+    draw() {
+        super.draw();
+
+        for (const tile of this.tiles)
+            tile.draw();
+    }
+}
+
+/** Kinds of pickups, with their colour and what they do when the player collects them. */
+const PICKUP_KINDS = {
+    air: {
+        color: [0.4, 0.8, 1],
+        collect: player => player.air = Math.min(player.air + AIR_CAPSULE_AMOUNT, MAX_AIR),
+    },
+    drill: {
+        color: [1, 0.6, 0.2],
+        collect: player => player.addEffect('drill'),
+    },
+    bomb: {
+        color: [1, 0.3, 0.2],
+        collect: player => explode(Math.round(player.x), Math.round(player.y)),
+    },
+    shield: {
+        color: [0.4, 1, 0.4],
+        collect: player => player.addEffect('shield'),
+    },
+    slow: {
+        color: [0.8, 0.5, 1],
+        collect: player => player.addEffect('slow'),
+    },
+};
+
+class Pickup extends GameObject {
+    get objectType() { return 'Pickup'; }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {string} kind
+     */
+    constructor(x, y, kind) {
+        super(x, y);
+
+        this.kind = kind;
+        this.lifetime = 0;
+    }
+
+    /**
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        super.update(deltaTime);
+
+        this.lifetime += deltaTime;
+
+        // Pickups buried under a landed tile can't be collected until it is broken
+        if (getTileAt(this.x, this.y) !== 0) return;
+
+        if (player.isAlive && Math.abs(this.x - player.x) < 0.5 && Math.abs(this.y - player.y) < 0.5) {
+            PICKUP_KINDS[this.kind].collect(player);
             objectDeleteQueue.add(this);
-            playImpactSound();
-            setTileAt(this.x, this.y, this.typeId);
+            playSound('carpet');
         }
     }
 
     draw() {
         super.draw();
 
-        const tileType = TILE_TYPES[this.typeId];
-        const textureName = tileType.texture;
-        const texture = textures[textureName];
+        const [r, g, b] = PICKUP_KINDS[this.kind].color;
+        const size = camera.tileSize / 2;
+        const bob = 0.1 * Math.sin(this.lifetime / 200);
 
-        spriteBatch.drawRectangle(texture, this.x * TILE_SIZE, (this.y - viewOffsetY) * TILE_SIZE, TILE_SIZE, TILE_SIZE, 0, 0, 1, 1, 1, 1, 1, 1);
+        const [x, y] = camera.worldToScreen(this.drawX + 0.5, this.drawY + 0.5 + bob);
+        spriteBatch.drawRotatedRectangleOffCenter(textures['white'], x, y, size, size, Math.PI / 4, 0, 0, 1, 1, r, g, b, 1);
     }
 }
 
+/** Time a tile entity wobbles before it starts falling, in milliseconds. */
+const WOBBLE_TIME = 2000;
+
+/** Time after a tile entity starts falling in which it doesn't crush the player, in milliseconds. */
+const CRUSH_GRACE_TIME = 300;
+
+const PLAYER_LIVES = 3;
+
+/** Duration of the player death animation, in milliseconds. */
+const DEATH_ANIMATION_TIME = 1000;
+
+/** Duration of climbing onto a one-tile ledge, in milliseconds. */
+const CLIMB_TIME = 250;
+
+/** Time after a respawn in which the player can't be crushed, in milliseconds. */
+const RESPAWN_INVULNERABILITY_TIME = 1500;
+
+const MAX_AIR = 100;
+
+/** Air added by an air capsule. */
+const AIR_CAPSULE_AMOUNT = 40;
+
+/**
+ * Timed effects of power-ups, with their HUD label, colour and duration in milliseconds:
+ * `drill` breaks tiles faster, `shield` absorbs one crush, `slow` slows falling tiles down.
+ */
+const EFFECTS = {
+    drill: { label: 'Бур', color: [1, 0.6, 0.2], duration: 10000 },
+    shield: { label: 'Щит', color: [0.4, 1, 0.4], duration: 20000 },
+    slow: { label: 'Замедление', color: [0.8, 0.5, 1], duration: 10000 },
+};
+
+/** Factor the breaking speed is multiplied by with the drill effect. */
+const DRILL_SPEED_SCALE = 2;
+
+/** Factor the time of falling tiles is multiplied by with the slow effect. */
+const SLOW_TIME_SCALE = 0.4;
+
+/** Name of the hard tile that costs air to break. */
+const HARD_TILE = 'block';
+
+/**
+ * Air drain rates by difficulty: `airDrain` is drained every second, `hardTileAirCost` every time a hard tile is broken.
+ */
+const DIFFICULTIES = {
+    easy: { airDrain: 1, hardTileAirCost: 10 },
+    normal: { airDrain: 2, hardTileAirCost: 20 },
+    hard: { airDrain: 3, hardTileAirCost: 25 },
+};
+
+const DEFAULT_DIFFICULTY = 'normal';
+
 class Player extends GameObject {
     get objectType() { return 'Player'; }
 
-    constructor() {
-        super();
-
-        this.x = Math.floor(TILES_COLUMNS / 2);
-        this.y = 0;
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    constructor(x, y) {
+        super(x, y);
 
         this.moveSpeed = 0.25;
         this.fallSpeed = 0.5;
         this.isOnGround = true;
+        this.inventory = new Inventory();
+        this.score = 0;
+
+        /** Deepest row the player has reached. */
+        this.maxDepth = 0;
+
+        this.air = MAX_AIR;
+        this.lives = PLAYER_LIVES;
+        this.isAlive = true;
+        this.deathTime = 0;
+        this.invulnerabilityTime = 0;
+
+        /** @type {{ fromX: number, fromY: number, direction: number, time: number }|null} Ledge climb in progress. */
+        this.climb = null;
+
+        /** @type {Map<string, number>} Time left of the active effects by name, in milliseconds. */
+        this.effects = new Map();
+
+        /** @type {import('./collision.js').Contacts} Contacts of the last movement. */
+        this.contacts = { ground: true, ceiling: false, left: false, right: false, groundBox: null };
+    }
+
+    get isInvulnerable() { return this.invulnerabilityTime > 0; }
+
+    /**
+     * @param {string} name
+     */
+    addEffect(name) {
+        this.effects.set(name, EFFECTS[name].duration);
+    }
+
+    /**
+     * @param {TileGroup} group The falling group that has hit the player.
+     */
+    crush(group) {
+        if (!this.isAlive) return;
+
+        // The shield breaks instead, shattering the group
+        if (this.effects.delete('shield')) {
+            group.shatter();
+            this.invulnerabilityTime = RESPAWN_INVULNERABILITY_TIME;
+            playSound('concrete');
+            return;
+        }
+
+        this.isAlive = false;
+        this.deathTime = 0;
+        this.lives--;
+        this.climb = null;
+        this.effects.clear();
+
+        playSound('carpet');
+    }
+
+    /**
+     * @param {number} amount
+     */
+    loseAir(amount) {
+        this.air = Math.max(this.air - amount, 0);
+        if (this.air === 0)
+            endRun('air');
+    }
+
+    respawn() {
+        this.x = Math.round(this.x);
+        this.y = Math.round(this.y);
+
+        // Clear the tile that may have landed where the player was, the tiles resting on it fall again
+        if (getTileAt(this.x, this.y) !== 0) {
+            setTileAt(this.x, this.y, 0);
+            dropTilesAbove([{ x: this.x, y: this.y }], 0);
+        }
+
+        this.isAlive = true;
+        this.invulnerabilityTime = RESPAWN_INVULNERABILITY_TIME;
     }
 
     update(deltaTime) {
         super.update(deltaTime);
 
+        if (!this.isAlive) {
+            this.deathTime += deltaTime;
+            if (this.deathTime > DEATH_ANIMATION_TIME) {
+                if (this.lives > 0)
+                    this.respawn();
+                else
+                    endRun('crushed');
+            }
+
+            return;
+        }
+
+        this.invulnerabilityTime = Math.max(this.invulnerabilityTime - deltaTime, 0);
+
+        for (const [name, time] of this.effects) {
+            if (time > deltaTime)
+                this.effects.set(name, time - deltaTime);
+            else
+                this.effects.delete(name);
+        }
+
+        this.loseAir(difficulty.airDrain * deltaTime / 1000);
+        if (runEndReason !== null) return;
+
         const EPSILON = 0.1;
 
-        if (isKeyDown('KeyA') || isKeyDown('ArrowLeft')) {
-            this.x -= deltaTime * this.moveSpeed / TILE_SIZE;
-            breakTile(this.x, this.y + 0.5, deltaTime);
+        if (this.climb !== null) {
+            this.updateClimb(deltaTime);
+            return;
+        }
+
+        const step = deltaTime * this.moveSpeed / TILE_SIZE;
+        let dx = 0;
+
+        if (stepActions.has('moveLeft')) {
+            if (this.startClimb(-1)) return;
+
+            dx -= step;
+            breakTile(this.x - step, this.y + 0.5, deltaTime);
         }
 
-        if (isKeyDown('KeyD') || isKeyDown('ArrowRight')) {
-            this.x += deltaTime * this.moveSpeed / TILE_SIZE;
-            breakTile(this.x + 1, this.y + 0.5, deltaTime);
+        if (stepActions.has('moveRight')) {
+            if (this.startClimb(1)) return;
+
+            dx += step;
+            breakTile(this.x + 1 + step, this.y + 0.5, deltaTime);
         }
 
-        if (isKeyDown('KeyS') || isKeyDown('ArrowDown')) {
+        if (stepActions.has('digDown')) {
             for (const offset of [0.5, 0.25, 0.75]) {
                 if (breakTile(this.x + offset, this.y + 1, deltaTime))
                     break;
             }
         }
 
-        if (isKeyDown('KeyW') || isKeyDown('ArrowUp'))
+        if (stepActions.has('digUp'))
             breakTile(this.x + 0.5, this.y - EPSILON, deltaTime);
 
-        if (this.x < 0)
-            this.x = 0;
+        // Narrowing the box lets the player drop into holes and walk into tunnels without exact alignment
+        const box = { x: this.x, y: this.y, width: 1, height: 1 };
+        const obstacles = tileEntities.queryRect(this.x - 1, this.y - 1, 3, 3);
+        this.contacts = moveBox(box, dx, deltaTime * this.fallSpeed / TILE_SIZE, isSolidCell, obstacles, EPSILON);
+
+        this.x = box.x;
+        this.y = box.y;
+        this.isOnGround = this.contacts.ground;
+
+        this.maxDepth = Math.max(this.maxDepth, Math.floor(this.y));
+    }
+
+    /**
+     * Starts climbing onto the ledge in the direction if the player stands against a tile with empty space above it.
+     *
+     * @param {number} direction -1 to the left, 1 to the right.
+     */
+    startClimb(direction) {
+        const EPSILON = 0.1;
+
+        // Climb only when walking into a wall
+        if (!this.isOnGround || !this.contacts[(direction < 0) ? 'left' : 'right']) return false;
+
+        const x = Math.round(this.x);
+        const y = Math.round(this.y);
+        const ledgeX = x + direction;
+        if (Math.abs(this.x - x) > EPSILON || ledgeX < 0 || ledgeX > world.columns - 1 || y < 1) return false;
+
+        if (getTileAt(ledgeX, y) === 0 || getTileAt(ledgeX, y - 1) !== 0 || getTileAt(x, y - 1) !== 0) return false;
+
+        // Don't climb into falling or wobbling blocks
+        if (tileEntities.queryRect(Math.min(x, ledgeX) + EPSILON, y - 2 + EPSILON, 2 - 2 * EPSILON, 2 - 2 * EPSILON).length > 0) return false;
 
-        if (this.x > TILES_COLUMNS - 1)
-            this.x = TILES_COLUMNS - 1;
+        this.climb = { fromX: x, fromY: y, direction, time: 0 };
+        return true;
+    }
+
+    /**
+     * Moves the player up during the first half of the climb, then onto the ledge.
+     *
+     * @param {number} deltaTime
+     */
+    updateClimb(deltaTime) {
+        const { climb } = this;
 
-        if (getTileAt(this.x, this.y + EPSILON) !== 0 || getTileAt(this.x, this.y + 1 - EPSILON) !== 0
-            || getTileEntityAt(this.x, this.y + EPSILON) !== null || getTileEntityAt(this.x, this.y + 1 - EPSILON) !== null)
-            this.x = Math.ceil(this.x);
+        climb.time += deltaTime;
+        const t = Math.min(climb.time / CLIMB_TIME, 1);
 
-        if (getTileAt(this.x + 1, this.y + EPSILON) !== 0 || getTileAt(this.x + 1, this.y + 1 - EPSILON) !== 0
-            || getTileEntityAt(this.x + 1, this.y + EPSILON) !== null || getTileEntityAt(this.x + 1, this.y + 1 - EPSILON) !== null)
-            this.x = Math.floor(this.x);
+        this.y = climb.fromY - Math.min(2 * t, 1);
+        this.x = climb.fromX + climb.direction * Math.max(2 * t - 1, 0);
 
-        if (getTileAt(this.x + EPSILON, this.y + 1) !== 0 || getTileAt(this.x + 1 - EPSILON, this.y + 1) !== 0
-            || getTileEntityAt(this.x + EPSILON, this.y + 1) !== null || getTileEntityAt(this.x + 1 - EPSILON, this.y + 1) !== null) {
+        if (t === 1) {
+            this.climb = null;
             this.isOnGround = true;
-            this.y = Math.floor(this.y);
-        } else {
-            this.isOnGround = false;
-            this.y += deltaTime * this.fallSpeed / TILE_SIZE;
         }
-
-        viewOffsetY = this.y - 5;
     }
 
     draw() {
         super.draw();
 
-        spriteBatch.drawRectangle(textures['player'], this.x * TILE_SIZE, (this.y - viewOffsetY) * TILE_SIZE, TILE_SIZE, TILE_SIZE, 0, 0, 1, 1, 1, 1, 1, 1);
+        const { tileSize } = camera;
+        const [x, y] = camera.worldToScreen(this.drawX, this.drawY);
+
+        if (!this.isAlive) {
+            // Squash and fade out
+            const t = Math.min(this.deathTime / DEATH_ANIMATION_TIME, 1);
+            const height = tileSize * (1 - 0.8 * t);
+            spriteBatch.drawRectangle(textures['player'], x, y + tileSize - height, tileSize, height, 0, 0, 1, 1, 1, 1 - t, 1 - t, 1 - t);
+            return;
+        }
+
+        // Blink while invulnerable
+        if (this.isInvulnerable && Math.floor(this.invulnerabilityTime / 100) % 2 === 0) return;
+
+        spriteBatch.drawRectangle(textures['player'], x, y, tileSize, tileSize, 0, 0, 1, 1, 1, 1, 1, 1);
     }
 }
 
 let objectDeleteQueue = new Set();
 
-const TILE_TYPES = {
-    1: { id: 1, texture: 'tile_sand', isMovable: true, breakTime: 100 },
-    2: { id: 2, texture: 'tile_dirt', isMovable: true, breakTime: 150 },
-    3: { id: 3, texture: 'tile_stone', isMovable: true, breakTime: 250 },
-    4: { id: 4, texture: 'tile_block', isMovable: false, breakTime: 1000 },
-};
-
-const TILE_BLOCK = 4;
-const TILES_COLUMNS = 7;
-const TILE_SIZE = 64;
-
-const tiles = [
-    0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0,
-    1, 1, 1, 1, 1, 1, 1,
-];
+/** Why the run has ended: 'air', 'crushed' or 'complete', or null while it goes on. */
+let runEndReason = null;
 
-function getNextBlockType() {
-    if (Math.random() < 0.05)
-        return TILE_BLOCK;
+/** localStorage key of the best depth. */
+const BEST_DEPTH_KEY = 'bestDepth';
 
-    return 1 + Math.floor(Math.random() * 3);
-}
+/** Deepest row reached in all runs. */
+let bestDepth = Number(localStorage.getItem(BEST_DEPTH_KEY)) || 0;
 
-for (let j = 0; j < 1000; j++) {
-    if (Math.random() < 0.1) {
-        tiles.push(...[TILE_BLOCK, TILE_BLOCK, getNextBlockType(), getNextBlockType(), getNextBlockType(), TILE_BLOCK, TILE_BLOCK]);
+/** Whether the last run has beaten the best depth. */
+let isNewBestDepth = false;
 
-        for (let i = 0; i < 7; i++)
-            tiles.push(getNextBlockType());
-    } else if (Math.random() < 0.1) {
-        tiles.push(...[getNextBlockType(), getNextBlockType(), TILE_BLOCK, TILE_BLOCK, TILE_BLOCK, getNextBlockType(), getNextBlockType()]);
+/**
+ * @param {string} reason
+ */
+function endRun(reason) {
+    if (runEndReason !== null) return;
 
-        for (let i = 0; i < 7; i++)
-            tiles.push(getNextBlockType());
-    } else if (Math.random() < 0.1) {
-        tiles.push(...[getNextBlockType(), TILE_BLOCK, getNextBlockType(), TILE_BLOCK, getNextBlockType(), TILE_BLOCK, getNextBlockType()]);
+    runEndReason = reason;
 
-        for (let i = 0; i < 7; i++)
-            tiles.push(getNextBlockType());
-    } else {
-        for (let i = 0; i < 7; i++)
-            tiles.push(getNextBlockType());
+    // Replays may be someone else's runs, so they don't count for the record
+    if (!isReplayRun && player.maxDepth > bestDepth) {
+        bestDepth = player.maxDepth;
+        isNewBestDepth = true;
+        localStorage.setItem(BEST_DEPTH_KEY, String(bestDepth));
     }
 }
 
-let breakingTileX = -1;
-let breakingTileY = -1;
-let breakingTileProgress = 0;
+/** @type {TileRegistry} */
+let tileTypes = null;
 
-let nextFallingBlockGroup = 0;
+/** @type {BiomeRegistry} */
+let biomes = null;
 
-function getTileAt(x, y) {
-    if (x < 0 || y < 0 || x > TILES_COLUMNS) return 0;
+/** Tile size the speeds in pixels per millisecond are relative to. On the screen, the camera scales tiles to fit it. */
+const TILE_SIZE = 64;
 
-    const i = Math.floor(x) + Math.floor(y) * TILES_COLUMNS;
-    if (i >= tiles.length) return 0;
+/**
+ * Returns the level seed from the URL, or creates a new one and puts it into the URL so it can be shared.
+ */
+function getSeed() {
+    const params = new URLSearchParams(location.search);
+
+    let seed = params.get('seed');
+    if (seed === null || seed === '') {
+        seed = createSeed();
+        params.set('seed', seed);
+        history.replaceState(null, '', `${location.pathname}?${params}${location.hash}`);
+    }
 
-    return tiles[i];
+    return seed;
 }
 
-function getTileEntityAt(x, y) {
-    for (const gameObject of gameObjects) {
-        if (gameObject.objectType !== 'TileEntity') continue;
-        if (gameObject.isFalling) continue;
+/**
+ * Returns the shaft width for procedural levels from the URL.
+ */
+function getColumns() {
+    const value = new URLSearchParams(location.search).get('columns');
+    if (value === null) return DEFAULT_COLUMNS;
+
+    const columns = Number(value);
+    if (!isValidColumns(columns)) {
+        console.warn(`"columns" must be an integer from ${MIN_COLUMNS} to ${MAX_COLUMNS}, using ${DEFAULT_COLUMNS}`);
+        return DEFAULT_COLUMNS;
+    }
+
+    return columns;
+}
 
-        if (gameObject.x <= x && gameObject.y <= y && gameObject.x + 1 >= x && gameObject.y + 1 >= y)
-            return gameObject;
+/**
+ * Returns the difficulty name from the URL.
+ */
+function getDifficultyName() {
+    const name = new URLSearchParams(location.search).get('difficulty') ?? DEFAULT_DIFFICULTY;
+    if (!(name in DIFFICULTIES)) {
+        console.warn(`"difficulty" must be one of ${Object.keys(DIFFICULTIES).join(', ')}, using ${DEFAULT_DIFFICULTY}`);
+        return DEFAULT_DIFFICULTY;
     }
 
-    return null;
+    return name;
 }
 
-function setTileAt(x, y, tileTypeId) {
-    if (x < 0 || y < 0 || x > TILES_COLUMNS) return;
+const difficultyName = getDifficultyName();
 
-    const i = Math.floor(x) + Math.floor(y) * TILES_COLUMNS;
-    if (i >= tiles.length) return 0;
+/** Difficulty settings of the current run. */
+let difficulty = DIFFICULTIES[difficultyName];
 
-    tiles[i] = tileTypeId;
-}
+const seed = getSeed();
 
-function getAdjacentTilesOfSameType(x, y) {
-    const result = [];
-    const checked = [];
-    const index = Math.floor(x) + Math.floor(y) * TILES_COLUMNS;
-    const typeId = getTileAt(x, y);
-    const queue = [index];
-    while (queue.length) {
-        const tileIndex = queue.pop();
-        const tileX = tileIndex % TILES_COLUMNS;
-        const tileY = Math.floor(tileIndex / TILES_COLUMNS);
-        const tileTypeId = getTileAt(tileX, tileY);
-        if (tileTypeId !== typeId)
-            continue;
+/** @type {import('./level.js').Level} Hand-authored level from the URL, or null for procedural levels. */
+let level = null;
 
-        result.push({ x: tileX, y: tileY, index: tileIndex, typeId: tileTypeId, type: TILE_TYPES[tileTypeId] });
+/** @type {World} */
+let world = null;
 
-        if (tileX > 0 && !checked.includes(tileIndex - 1))
-            queue.push(tileIndex - 1);
+/** @type {import('./replay.js').RunSettings} Settings of the current run, from the URL or a replay. */
+let runSettings = null;
 
-        if (tileX < TILES_COLUMNS - 1 && !checked.includes(tileIndex + 1))
-            queue.push(tileIndex + 1);
+/** Whether the current run is a replay being played back. */
+let isReplayRun = false;
 
-        if (tileY > 0 && !checked.includes(tileIndex - TILES_COLUMNS))
-            queue.push(tileIndex - TILES_COLUMNS);
+/** @type {ReplayRecorder} Records the current run, so it can be saved as a replay. */
+let recorder = null;
 
-        if (!checked.includes(tileIndex + TILES_COLUMNS))
-            queue.push(tileIndex + TILES_COLUMNS);
+/** Simulation steps of the current run. */
+let runStep = 0;
 
-        checked.push(tileIndex);
-    }
+/** @type {Set<string>} Actions held during the current simulation step, from the input or a replay. */
+let stepActions = new Set();
 
-    return result;
+let breakingTileX = -1;
+let breakingTileY = -1;
+let breakingTileProgress = 0;
+
+let nextFallingBlockGroup = 0;
+
+/** @type {TileGroup[]} Landed groups whose chains are not resolved yet. */
+let landedGroups = [];
+
+/** Size a cluster must reach to clear when a falling tile lands next to it. */
+const CHAIN_CLEAR_SIZE = 4;
+
+/** Score of a tile cleared by a chain, before the chain multiplier. */
+const CHAIN_TILE_SCORE = 5;
+
+/** Time the chain counter stays on the screen, in milliseconds. */
+const CHAIN_DISPLAY_TIME = 1500;
+
+/** Chain count of the last chain clear. */
+let chainCount = 0;
+
+/** Time left to show the chain counter, in milliseconds. */
+let chainDisplayTime = 0;
+
+function getTileAt(x, y) {
+    return world.getTile(x, y);
+}
+
+/** Falling and resting tile entities. */
+let tileEntities = new SpatialGrid();
+
+/**
+ * Whether the cell stops moving objects. The shaft walls are solid.
+ *
+ * @param {number} x
+ * @param {number} y
+ */
+function isSolidCell(x, y) {
+    return x < 0 || x >= world.columns || getTileAt(x, y) !== 0;
+}
+
+function setTileAt(x, y, tileTypeId) {
+    world.setTile(x, y, tileTypeId);
+}
+
+function getAdjacentTilesOfSameType(x, y) {
+    return world.getClusterTiles(x, y).map(({ x, y }) => {
+        const typeId = getTileAt(x, y);
+        return { x, y, typeId, type: tileTypes.get(typeId) };
+    });
 }
 
 function getTilesAbove(x, y) {
     const result = [];
     let typeId;
-    while ((typeId = getTileAt(x, y)) !== 0 && TILE_TYPES[typeId].isMovable) {
-        const tileIndex = Math.floor(x) + Math.floor(y) * TILES_COLUMNS;
-        result.push({ x, y, index: tileIndex, typeId, type: TILE_TYPES[typeId] });
+    while ((typeId = getTileAt(x, y)) !== 0 && tileTypes.get(typeId).gravity === 'fall') {
+        const tileIndex = Math.floor(x) + Math.floor(y) * world.columns;
+        result.push({ x, y, index: tileIndex, typeId, type: tileTypes.get(typeId) });
         y--;
     }
 
@@ -273,8 +756,8 @@ function breakTile(x, y, deltaTime) {
     const tileX = Math.floor(x);
     const tileY = Math.floor(y);
     if (breakingTileX === tileX && breakingTileY === tileY) {
-        const breakTime = TILE_TYPES[tileTypeId].breakTime;
-        breakingTileProgress += deltaTime / breakTime;
+        const { hardness } = tileTypes.get(tileTypeId);
+        breakingTileProgress += deltaTime * (player.effects.has('drill') ? DRILL_SPEED_SCALE : 1) / hardness;
     } else {
         breakingTileX = tileX;
         breakingTileY = tileY;
@@ -287,44 +770,177 @@ function breakTile(x, y, deltaTime) {
         breakingTileProgress = 0;
 
         const adjacentTiles = getAdjacentTilesOfSameType(x, y);
-        for (const { x, y } of adjacentTiles)
+        for (const { x, y, typeId, type } of adjacentTiles) {
             setTileAt(x, y, 0);
 
-        for (const { x: x0, y: y0 } of adjacentTiles)
-            for (const { x, y, typeId } of getTilesAbove(x0, y0 - 1)) {
-                setTileAt(x, y, 0);
-                gameObjects.push(new TileEntity(x, y, typeId, nextFallingBlockGroup));
+            if (type.drop !== null) {
+                player.inventory.add(typeId, type.drop.value);
+                player.score += type.drop.value;
             }
+        }
+
+        dropTilesAbove(adjacentTiles, 0);
+        playSound(tileTypes.get(tileTypeId).breakSound);
 
-        nextFallingBlockGroup++;
-        playDigSound();
+        if (tileTypeId === tileTypes.getByName(HARD_TILE).id)
+            player.loseAir(difficulty.hardTileAirCost);
     }
 
     return true;
 }
 
-const SCENE_VERTEX_SHADER_SOURCE = `#version 300 es
+/**
+ * Turns the tiles resting on the cleared tiles into tile entities. Connected tiles fall together as one group.
+ *
+ * @param {{ x: number, y: number }[]} clearedTiles
+ * @param {number} chain Chain count of the clear.
+ */
+function dropTilesAbove(clearedTiles, chain) {
+    const { columns } = world;
+
+    const released = new Map();
+    for (const { x: x0, y: y0 } of clearedTiles)
+        for (const tile of getTilesAbove(x0, y0 - 1))
+            released.set(tile.index, tile);
+
+    // Entries deleted from the map while iterating it are skipped
+    for (const start of released.values()) {
+        const group = new TileGroup(nextFallingBlockGroup++, chain);
+
+        released.delete(start.index);
+        const queue = [start];
+        while (queue.length) {
+            const { x, y, index, typeId } = queue.pop();
+            setTileAt(x, y, 0);
+            group.tiles.push(new TileEntity(x, y, typeId, group));
 
-uniform mat4 matrix;
+            const neighbours = [index - columns, index + columns];
+            if (x > 0)
+                neighbours.push(index - 1);
 
-layout(location = 0) in vec2 position;
-layout(location = 1) in vec2 texCoords;
-layout(location = 2) in vec4 color;
+            if (x < columns - 1)
+                neighbours.push(index + 1);
 
-out vec2 fragTexCoords;
-out vec4 fragColor;
+            for (const neighbour of neighbours) {
+                const tile = released.get(neighbour);
+                if (typeof tile === 'undefined') continue;
 
-void main() {
-    gl_Position = matrix * vec4(position, 0, 1);
+                released.delete(neighbour);
+                queue.push(tile);
+            }
+        }
 
-    fragTexCoords = texCoords;
-    fragColor = color;
+        gameObjects.push(group);
+    }
 }
-`;
 
-const SCENE_FRAGMENT_SHADER_SOURCE = `#version 300 es
+/**
+ * Clears the tiles in a 3×3 area around the tile, and lets the tiles above them fall.
+ *
+ * @param {number} x
+ * @param {number} y
+ */
+function explode(x, y) {
+    const clearedTiles = [];
+    for (let j = y - 1; j <= y + 1; j++)
+        for (let i = x - 1; i <= x + 1; i++) {
+            const typeId = getTileAt(i, j);
+            if (typeId === 0) continue;
+
+            setTileAt(i, j, 0);
+            clearedTiles.push({ x: i, y: j });
+
+            const { drop } = tileTypes.get(typeId);
+            if (drop !== null) {
+                player.inventory.add(typeId, drop.value);
+                player.score += drop.value;
+            }
+        }
 
-precision mediump float;
+    if (breakingTileX !== -1 && getTileAt(breakingTileX, breakingTileY) === 0) {
+        breakingTileX = -1;
+        breakingTileY = -1;
+        breakingTileProgress = 0;
+    }
+
+    dropTilesAbove(clearedTiles, 0);
+    playSound('concrete');
+}
+
+/**
+ * Clears the clusters that the landed groups have joined, if they are large enough.
+ *
+ * Groups are resolved in the order they were released, and their tiles from top to bottom,
+ * so the result doesn't depend on the order of game objects.
+ * Tiles released by a clear fall as new groups, which continue the chain when they land.
+ */
+function resolveChains() {
+    const groups = landedGroups.sort((a, b) => a.id - b.id);
+    landedGroups = [];
+
+    for (const { chain, tiles } of groups) {
+        const landed = tiles.map(({ x, y }) => ({ x, y: Math.floor(y) })).sort((a, b) => a.y - b.y || a.x - b.x);
+
+        for (const { x, y } of landed) {
+            if (getTileAt(x, y) === 0) continue;
+
+            const tiles = getAdjacentTilesOfSameType(x, y);
+            if (tiles.length >= CHAIN_CLEAR_SIZE)
+                clearChain(tiles, chain + 1);
+        }
+    }
+}
+
+/**
+ * @param {{ x: number, y: number, typeId: number, type: import('./tiles.js').TileType }[]} tiles
+ * @param {number} chain
+ */
+function clearChain(tiles, chain) {
+    for (const { x, y, typeId, type } of tiles) {
+        setTileAt(x, y, 0);
+
+        if (breakingTileX === x && breakingTileY === y) {
+            breakingTileX = -1;
+            breakingTileY = -1;
+            breakingTileProgress = 0;
+        }
+
+        const value = (type.drop !== null) ? type.drop.value : 0;
+        if (type.drop !== null)
+            player.inventory.add(typeId, value);
+
+        player.score += (value + CHAIN_TILE_SCORE) * chain;
+    }
+
+    dropTilesAbove(tiles, chain);
+    playSound(tiles[0].type.breakSound);
+
+    chainCount = chain;
+    chainDisplayTime = CHAIN_DISPLAY_TIME;
+}
+
+const SCENE_VERTEX_SHADER_SOURCE = `#version 300 es
+
+uniform mat4 matrix;
+
+layout(location = 0) in vec2 position;
+layout(location = 1) in vec2 texCoords;
+layout(location = 2) in vec4 color;
+
+out vec2 fragTexCoords;
+out vec4 fragColor;
+
+void main() {
+    gl_Position = matrix * vec4(position, 0, 1);
+
+    fragTexCoords = texCoords;
+    fragColor = color;
+}
+`;
+
+const SCENE_FRAGMENT_SHADER_SOURCE = `#version 300 es
+
+precision mediump float;
 
 uniform sampler2D colorTexture;
 
@@ -502,6 +1118,9 @@ let font = null;
 /** @type {Renderer} */
 let renderer = null;
 
+/** Device pixels per CSS pixel of the canvas. */
+let pixelRatio = 1;
+
 /** @type {SpriteBatch} */
 let spriteBatch = null;
 
@@ -524,30 +1143,48 @@ let audioSystem = null;
 let player = null;
 
 /** @type {GameObject[]} */
-let gameObjects = [player = new Player()];
+let gameObjects = [];
+
+/** Sound names and the audio files that are played in turn for them. */
+const SOUNDS = {
+    carpet: ['footstep_carpet_000', 'footstep_carpet_001', 'footstep_carpet_002', 'footstep_carpet_003', 'footstep_carpet_004'],
+    concrete: ['footstep_concrete_000', 'footstep_concrete_001', 'footstep_concrete_002', 'footstep_concrete_003', 'footstep_concrete_004'],
+};
 
-/** @type {AudioBuffer[]} */
-let impactSounds = [];
+/** @type {Object.<string, AudioBuffer[]>} */
+const sounds = {};
 
-let nextImpactSound = 0;
+/** @type {Object.<string, number>} */
+const nextSounds = {};
 
-function playImpactSound() {
-    if (audioSystem === null || impactSounds.length === 0) return;
+function playSound(name) {
+    const buffers = sounds[name];
+    if (audioSystem === null || typeof buffers === 'undefined' || buffers.length === 0) return;
 
-    audioSystem.play(impactSounds[nextImpactSound % impactSounds.length]);
-    nextImpactSound++;
+    const index = nextSounds[name] ?? 0;
+    audioSystem.play(buffers[index % buffers.length]);
+    nextSounds[name] = index + 1;
 }
 
-/** @type {AudioBuffer[]} */
-let digSounds = [];
+/** @type {Object.<string, AudioBuffer>} */
+const music = {};
 
-let nextDigSound = 0;
+/** Name of the music that is playing. */
+let currentMusic = null;
 
-function playDigSound() {
-    if (audioSystem === null || digSounds.length === 0) return;
+/**
+ * Switches the music when the player enters a biome with different music, and starts it once it is loaded.
+ */
+function updateMusic() {
+    if (audioSystem === null || biomes === null) return;
 
-    audioSystem.play(digSounds[nextDigSound % digSounds.length]);
-    nextDigSound++;
+    // Outside of runs, e.g. on the title screen, the music of the first biome plays
+    const isInRun = player !== null && !(state instanceof TitleState || state instanceof ControlsState);
+    const name = biomes.getBiome(isInRun ? player.y : 0).music;
+    if (name === currentMusic || !(name in music)) return;
+
+    audioSystem.playMusic(music[name]);
+    currentMusic = name;
 }
 
 async function loadText(url) {
@@ -578,24 +1215,166 @@ async function loadAudio(url) {
 function resize() {
     const { clientWidth, clientHeight } = canvas;
 
-    canvas.width = clientWidth;
-    canvas.height = clientHeight;
+    // Render at the device resolution, but keep drawing in CSS pixels, so the HUD has the same size on every screen
+    pixelRatio = devicePixelRatio;
+    const width = Math.round(clientWidth * pixelRatio);
+    const height = Math.round(clientHeight * pixelRatio);
+
+    canvas.width = width;
+    canvas.height = height;
 
     renderer.resize(clientWidth, clientHeight);
-    framebufferMultisample.resize(clientWidth, clientHeight).attachRenderbuffer(new Renderbuffer(context, clientWidth, clientHeight));
-    framebuffer.resize(clientWidth, clientHeight).attachTexture(new Texture(context, context.TEXTURE_2D, clientWidth, clientHeight));
-    pingFramebuffer.resize(clientWidth, clientHeight).attachTexture(new Texture(context, context.TEXTURE_2D, clientWidth, clientHeight));
-    pongFramebuffer.resize(clientWidth, clientHeight).attachTexture(new Texture(context, context.TEXTURE_2D, clientWidth, clientHeight));
+    framebufferMultisample.resize(width, height).attachRenderbuffer(new Renderbuffer(context, width, height));
+    framebuffer.resize(width, height).attachTexture(new Texture(context, context.TEXTURE_2D, width, height));
+    pingFramebuffer.resize(width, height).attachTexture(new Texture(context, context.TEXTURE_2D, width, height));
+    pongFramebuffer.resize(width, height).attachTexture(new Texture(context, context.TEXTURE_2D, width, height));
 }
 
-const keys = {};
+/** Keys that drive each action until they are rebound. */
+const DEFAULT_KEY_BINDINGS = {
+    moveLeft: ['KeyA', 'ArrowLeft'],
+    moveRight: ['KeyD', 'ArrowRight'],
+    digDown: ['KeyS', 'ArrowDown'],
+    digUp: ['KeyW', 'ArrowUp'],
+    pause: ['Escape', 'KeyP'],
+    confirm: ['Enter', 'Space'],
+    restart: ['KeyR'],
+    quit: ['KeyQ'],
+    saveReplay: ['KeyS'],
+};
+
+/** Standard gamepad mapping buttons that drive each action: the d-pad, A and Start. */
+const ACTION_BUTTONS = {
+    moveLeft: [14],
+    moveRight: [15],
+    digDown: [13, 0],
+    digUp: [12],
+    pause: [9],
+    confirm: [0, 9],
+};
+
+/** Left stick axes and directions that drive each action. */
+const STICK_ACTIONS = {
+    moveLeft: [0, -1],
+    moveRight: [0, 1],
+    digUp: [1, -1],
+    digDown: [1, 1],
+};
+
+/** localStorage key of the key bindings. */
+const KEY_BINDINGS_KEY = 'keyBindings';
 
-function isKeyDown(code) {
-    return code in keys && keys[code] === true;
+/** Names of the actions that can be rebound on the controls screen. */
+const ACTION_NAMES = {
+    moveLeft: 'Идти влево',
+    moveRight: 'Идти вправо',
+    digDown: 'Копать вниз',
+    digUp: 'Копать вверх',
+    pause: 'Пауза',
+};
+
+/** @type {InputSystem} */
+let input = null;
+
+/**
+ * Returns the names of the keys bound to the action, to show in the prompts.
+ *
+ * @param {string} action
+ */
+function getActionKeyNames(action) {
+    const codes = input.bindings[action];
+
+    return (codes.length > 0) ? codes.map(getKeyName).join(', ') : '—';
 }
 
-function isKeyUp(code) {
-    return !(code in keys) || keys[code] === false;
+/** Whether the on-screen controls are shown, which happens once the screen is touched. */
+let isTouchControlsVisible = false;
+
+/**
+ * Returns the on-screen touch buttons, which scale with the viewport.
+ */
+function getTouchButtons() {
+    const size = Math.round(Math.min(Math.max(Math.min(renderer.width, renderer.height) * 0.14, 48), 96));
+    const margin = Math.round(size / 3);
+
+    // Top left corners of the d-pad buttons are around its center
+    const x = margin + size;
+    const y = renderer.height - margin - 2 * size;
+
+    return [
+        { action: 'moveLeft', x: x - size, y, size, angle: Math.PI },
+        { action: 'moveRight', x: x + size, y, size, angle: 0 },
+        { action: 'digUp', x, y: y - size, size, angle: -Math.PI / 2 },
+        { action: 'digDown', x, y: y + size, size, angle: Math.PI / 2 },
+        { action: 'pause', x: renderer.width - margin - size, y: renderer.height - margin - size, size, angle: null },
+    ];
+}
+
+/**
+ * Returns the action of the touch button or the tile next to the player at the screen position, or null.
+ *
+ * @param {number} x
+ * @param {number} y
+ */
+function getPointerAction(x, y) {
+    if (isTouchControlsVisible)
+        for (const button of getTouchButtons())
+            if (x >= button.x && x < button.x + button.size && y >= button.y && y < button.y + button.size)
+                return button.action;
+
+    if (!(state instanceof PlayingState)) return null;
+
+    // Tapping a tile next to the player digs it
+    const [worldX, worldY] = camera.screenToWorld(x, y);
+    const tileX = Math.floor(worldX);
+    const tileY = Math.floor(worldY);
+    const playerX = Math.round(player.x);
+    const playerY = Math.round(player.y);
+
+    if (tileY === playerY && tileX === playerX - 1) return 'moveLeft';
+    if (tileY === playerY && tileX === playerX + 1) return 'moveRight';
+    if (tileX === playerX && tileY === playerY + 1) return 'digDown';
+    if (tileX === playerX && tileY === playerY - 1) return 'digUp';
+
+    return null;
+}
+
+/**
+ * @param {PointerEvent} event
+ */
+function onPointerDown(event) {
+    event.preventDefault();
+
+    if (event.pointerType !== 'mouse')
+        isTouchControlsVisible = true;
+
+    const { left, top } = canvas.getBoundingClientRect();
+    const action = getPointerAction(event.clientX - left, event.clientY - top);
+
+    input.setPointerAction(event.pointerId, action);
+}
+
+/**
+ * @param {PointerEvent} event
+ */
+function onPointerMove(event) {
+    event.preventDefault();
+
+    if (!input.hasPointer(event.pointerId)) return;
+
+    // Sliding a finger over the d-pad switches between its buttons, but doesn't pause
+    const { left, top } = canvas.getBoundingClientRect();
+    const action = getPointerAction(event.clientX - left, event.clientY - top);
+    input.setPointerAction(event.pointerId, (action !== 'pause') ? action : null);
+}
+
+/**
+ * @param {PointerEvent} event
+ */
+function onPointerUp(event) {
+    event.preventDefault();
+
+    input.removePointer(event.pointerId);
 }
 
 async function main() {
@@ -617,63 +1396,797 @@ async function main() {
     pingFramebuffer = new Framebuffer(context, canvas.clientWidth, canvas.clientHeight);
     pongFramebuffer = new Framebuffer(context, canvas.clientWidth, canvas.clientHeight);
 
-    await Promise.all([
-        ...['white', 'tile_dirt', 'tile_stone', 'tile_sand', 'tile_block', 'player',
-        ].map(name => loadImage(`./assets/${name}.png`).then(image => textures[name] = new Texture(context, context.TEXTURE_2D, image.width, image.height, context.SRGB8_ALPHA8).setImage(image).setParameter(context.TEXTURE_MAG_FILTER, context.NEAREST))),
-        loadImage('./assets/font.png').then(image => textures['font'] = new Texture(context, context.TEXTURE_2D, image.width, image.height, context.RGBA8).setImage(image)),
-        loadBinary('./assets/font.bin').then(fontData => font = new Font().deserializeData(fontData)),
-    ]);
+    input = new InputSystem(DEFAULT_KEY_BINDINGS, ACTION_BUTTONS, STICK_ACTIONS, KEY_BINDINGS_KEY);
 
     document.addEventListener('contextmenu', event => event.preventDefault());
-    document.addEventListener('pointerdown', event => event.preventDefault());
-    document.addEventListener('pointermove', event => event.preventDefault());
-    document.addEventListener('pointerup', event => event.preventDefault());
+    document.addEventListener('pointerdown', onPointerDown);
+    document.addEventListener('pointermove', onPointerMove);
+    document.addEventListener('pointerup', onPointerUp);
+    document.addEventListener('pointercancel', onPointerUp);
 
     document.addEventListener('click', event => {
         event.preventDefault();
 
-        if (audioSystem === null) {
+        if (audioSystem === null && biomes !== null) {
             audioSystem = new AudioSystem();
             audioSystem.resume();
 
-            loadAudio('./assets/bgm.mp3').then(buffer => audioSystem.play(buffer, true));
-
-            Promise.all([
-                loadAudio('./assets/footstep_carpet_000.mp3'),
-                loadAudio('./assets/footstep_carpet_001.mp3'),
-                loadAudio('./assets/footstep_carpet_002.mp3'),
-                loadAudio('./assets/footstep_carpet_003.mp3'),
-                loadAudio('./assets/footstep_carpet_004.mp3'),
-            ]).then(result => impactSounds = result);
+            for (const name of biomes.music)
+                loadAudio(`./assets/${name}.mp3`).then(buffer => music[name] = buffer);
 
-            Promise.all([
-                loadAudio('./assets/footstep_concrete_000.mp3'),
-                loadAudio('./assets/footstep_concrete_001.mp3'),
-                loadAudio('./assets/footstep_concrete_002.mp3'),
-                loadAudio('./assets/footstep_concrete_003.mp3'),
-                loadAudio('./assets/footstep_concrete_004.mp3'),
-            ]).then(result => digSounds = result);
+            for (const [name, files] of Object.entries(SOUNDS))
+                Promise.all(files.map(file => loadAudio(`./assets/${file}.mp3`))).then(result => sounds[name] = result);
         }
+
+        const { left, top } = canvas.getBoundingClientRect();
+        state.onClick(event.clientX - left, event.clientY - top);
     });
 
-    document.addEventListener('keydown', event => keys[event.code] = true);
-    document.addEventListener('keyup', event => keys[event.code] = false);
+    document.addEventListener('keydown', event => {
+        if (event.repeat) return;
+
+        input.onKeyDown(event.code);
+        state.onKeyDown(event.code);
+    });
+
+    document.addEventListener('keyup', event => input.onKeyUp(event.code));
+
+    // Don't let the run go on while the player is away
+    addEventListener('blur', () => {
+        input.clear();
+
+        if (state instanceof PlayingState)
+            setState(new PausedState());
+    });
 
     resize();
     addEventListener('resize', resize);
+
+    setState(new LoadingState());
     requestAnimationFrame(update);
+
+    // The font is loaded first, so the loading screen can show text
+    await Promise.all([
+        loadImage('./assets/font.png').then(image => textures['font'] = new Texture(context, context.TEXTURE_2D, image.width, image.height, context.RGBA8).setImage(image)),
+        loadBinary('./assets/font.bin').then(fontData => font = new Font().deserializeData(fontData)),
+    ]);
+
+    // Without tiles and biomes the game can't start, so the error stays on the screen
+    try {
+        tileTypes = new TileRegistry(JSON.parse(await loadText('./assets/tiles.json')), { sounds: Object.keys(SOUNDS), required: [WALL_TILE, GROUND_TILE, HARD_TILE] });
+        biomes = new BiomeRegistry(JSON.parse(await loadText('./assets/biomes.json')), tileTypes);
+    } catch (error) {
+        console.error(error);
+        setState(new ErrorState(error.message));
+        return;
+    }
+
+    // A broken level falls back to the procedural one, with the error on the title screen
+    let levelError = null;
+    const levelName = new URLSearchParams(location.search).get('level');
+    if (levelName !== null) {
+        const fileName = `./assets/levels/${levelName}.json`;
+        try {
+            level = parseLevel(JSON.parse(await loadText(fileName)), tileTypes, fileName);
+        } catch (error) {
+            console.error(error);
+            levelError = error.message;
+        }
+    }
+
+    await Promise.all(['white', 'player', ...tileTypes.textures].map(name => loadImage(`./assets/${name}.png`).then(image => textures[name] = new Texture(context, context.TEXTURE_2D, image.width, image.height, context.SRGB8_ALPHA8).setImage(image).setParameter(context.TEXTURE_MAG_FILTER, context.NEAREST))));
+
+    setState(new TitleState(levelError));
+}
+
+/**
+ * Returns the settings of runs from the URL.
+ *
+ * @returns {import('./replay.js').RunSettings}
+ */
+function getRunSettings() {
+    return {
+        seed,
+        difficulty: difficultyName,
+        columns: (level !== null) ? level.columns : getColumns(),
+        level: (level !== null) ? level.name : null,
+    };
+}
+
+/**
+ * Starts a new run: regenerates the level and resets the player and all game objects.
+ *
+ * @param {import('./replay.js').RunSettings} settings
+ * @param {boolean} isReplay Whether the run is a replay being played back.
+ */
+function startRun(settings = getRunSettings(), isReplay = false) {
+    runSettings = settings;
+    isReplayRun = isReplay;
+    difficulty = DIFFICULTIES[settings.difficulty];
+
+    const rowSource = (level !== null) ? new LevelRowSource(level, settings.seed, tileTypes, biomes) : new LevelGenerator(settings.seed, settings.columns, tileTypes, biomes);
+    world = new World(rowSource, tileTypes);
+    tileEntities = new SpatialGrid();
+
+    const spawn = (level !== null) ? level.spawn : { x: Math.floor(world.columns / 2), y: 0 };
+    player = new Player(spawn.x, spawn.y);
+
+    gameObjects = [player];
+    objectDeleteQueue.clear();
+
+    breakingTileX = -1;
+    breakingTileY = -1;
+    breakingTileProgress = 0;
+    nextFallingBlockGroup = 0;
+    landedGroups = [];
+    chainCount = 0;
+    chainDisplayTime = 0;
+
+    runEndReason = null;
+    isNewBestDepth = false;
+
+    camera.reset();
+    recorder = new ReplayRecorder(settings);
+    runStep = 0;
+    stepActions = new Set();
+}
+
+/**
+ * Runs one simulation step with the actions held during it.
+ *
+ * @param {Set<string>} actions
+ */
+function simulateStep(actions) {
+    stepActions = actions;
+    updateWorld(TIME_STEP);
+    runStep++;
+
+    // Levels that don't continue procedurally end below their last row
+    if (level !== null && level.continueAfterRow === null && player.y >= level.rows.length)
+        endRun('complete');
+}
+
+/**
+ * Returns a checksum of the simulation state, which replays compare to find where they go out of sync.
+ */
+function getStateChecksum() {
+    const values = [
+        runStep, player.x, player.y, player.air, player.lives, player.score, player.maxDepth, player.deathTime,
+        breakingTileX, breakingTileY, breakingTileProgress, chainCount, gameObjects.length,
+    ];
+
+    for (const gameObject of gameObjects) {
+        values.push(gameObject.x, gameObject.y);
+
+        if (gameObject instanceof TileGroup)
+            for (const tile of gameObject.tiles)
+                values.push(tile.x, tile.y);
+    }
+
+    // Rows around the player, which are always generated
+    const top = Math.floor(player.y) - VIEW_ROWS_ABOVE_PLAYER;
+    for (let y = top; y < top + 3 * VIEW_ROWS_ABOVE_PLAYER; y++)
+        for (let x = 0; x < world.columns; x++)
+            values.push(getTileAt(x, y));
+
+    return hashNumbers(values);
+}
+
+/**
+ * Saves the recording of the current run as a file.
+ */
+function downloadReplay() {
+    const url = URL.createObjectURL(new Blob([recorder.serialize()], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `replay-${runSettings.seed}-${runStep}.json`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Asks for a replay file and plays it back.
+ */
+function openReplay() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+
+    fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        if (typeof file === 'undefined') return;
+
+        try {
+            const replay = parseReplay(JSON.parse(await file.text()), file.name);
+            const { difficulty, level: levelName } = replay.settings;
+
+            if (!(difficulty in DIFFICULTIES))
+                throw new Error(`Can't play ${file.name}: unknown difficulty "${difficulty}"`);
+
+            if (levelName !== ((level !== null) ? level.name : null))
+                throw new Error(`Can't play ${file.name}: it was recorded on ${(levelName !== null) ? `level "${levelName}"` : 'a procedural level'}`);
+
+            setState(new ReplayState(replay));
+        } catch (error) {
+            console.error(error);
+            setState(new TitleState('Не удалось открыть повтор'));
+        }
+    });
+
+    fileInput.click();
+}
+
+class GameState {
+    /**
+     * @param {number} deltaTime
+     */
+    update(deltaTime) { }
+
+    /**
+     * @param {number} timestamp
+     * @param {number} alpha How far the frame is between the last two simulation steps, from 0 to 1.
+     */
+    draw(timestamp, alpha) { }
+
+    /**
+     * @param {string} code
+     */
+    onKeyDown(code) { }
+
+    /**
+     * Called when an action is pressed with any input.
+     *
+     * @param {string} action
+     */
+    onAction(action) { }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    onClick(x, y) { }
+}
+
+class LoadingState extends GameState {
+    draw() {
+        renderer.clear(0, 0, 0, 1);
+
+        if (font !== null && 'font' in textures)
+            drawText('Загрузка…', renderer.width / 2, renderer.height / 2, 32, 1, 1, 1, 1, true);
+    }
+}
+
+/**
+ * Draws a red message, line by line.
+ *
+ * @param {string} message
+ * @param {number} x Center of the lines.
+ * @param {number} y Top of the first line.
+ */
+function drawMessage(message, x, y) {
+    const lines = message.split('\n');
+    for (let i = 0; i < lines.length; i++)
+        drawText(lines[i], x, y + 40 * i, 24, 1, 0.3, 0.2, 1, true);
+}
+
+/**
+ * Shows an error that keeps the game from starting.
+ */
+class ErrorState extends GameState {
+    /**
+     * @param {string} message
+     */
+    constructor(message) {
+        super();
+
+        this.message = message;
+    }
+
+    draw() {
+        renderer.clear(0, 0, 0, 1);
+
+        if (font !== null && 'font' in textures)
+            drawMessage(this.message, renderer.width / 2, renderer.height / 3);
+    }
+}
+
+class TitleState extends GameState {
+    /**
+     * @param {string|null} message Error to show, or null. May have several lines.
+     */
+    constructor(message = null) {
+        super();
+
+        this.message = message;
+    }
+
+    draw() {
+        const [r, g, b] = biomes.getBiome(0).background;
+        renderer.clear(r, g, b, 1);
+
+        const x = renderer.width / 2;
+        const y = renderer.height / 3;
+
+        // Levels that continue procedurally depend on the seed too, so it is shown to share the run
+        let runName = `Сид: ${seed}`;
+        if (level !== null)
+            runName = (level.continueAfterRow !== null) ? `${level.name}, сид: ${seed}` : level.name;
+
+        drawText('Нубик', x, y, 96, 1, 0.85, 0.2, 1, true);
+        drawText(runName, x, y + 128, 32, 1, 1, 1, 1, true);
+        drawText('Enter — начать', x, y + 224, 32, 1, 1, 1, 1, true);
+        drawText('C — управление', x, y + 272, 32, 1, 1, 1, 1, true);
+        drawText('L — открыть повтор', x, y + 320, 32, 1, 1, 1, 1, true);
+
+        if (this.message !== null)
+            drawMessage(this.message, x, y + 416);
+    }
+
+    onAction(action) {
+        if (action === 'confirm') {
+            startRun();
+            setState(new PlayingState());
+        }
+    }
+
+    onKeyDown(code) {
+        if (code === 'KeyC')
+            setState(new ControlsState());
+        else if (code === 'KeyL')
+            openReplay();
+    }
+
+    onClick() {
+        startRun();
+        setState(new PlayingState());
+    }
+}
+
+/** Key that cancels rebinding on the controls screen, so it can't be bound. */
+const CANCEL_KEY = 'Escape';
+
+class ControlsState extends GameState {
+    constructor() {
+        super();
+
+        this.selectedIndex = 0;
+
+        // Whether the next key pressed is bound to the selected action
+        this.isListening = false;
+    }
+
+    get selectedAction() { return Object.keys(ACTION_NAMES)[this.selectedIndex]; }
+
+    draw() {
+        const [r, g, b] = biomes.getBiome(0).background;
+        renderer.clear(r, g, b, 1);
+
+        const FONT_SIZE = 32;
+        const LINE_HEIGHT = 48;
+
+        const x = renderer.width / 2;
+        let y = renderer.height / 6;
+
+        drawText('Управление', x, y, 64, 1, 1, 1, 1, true);
+        y += 2 * LINE_HEIGHT;
+
+        for (const [action, name] of Object.entries(ACTION_NAMES)) {
+            const isSelected = action === this.selectedAction;
+            const [textR, textG, textB] = isSelected ? [1, 0.85, 0.2] : [1, 1, 1];
+
+            let keyNames = getActionKeyNames(action);
+            if (isSelected && this.isListening)
+                keyNames = 'Нажмите клавишу…';
+
+            drawText(name, x - 8 * FONT_SIZE, y, FONT_SIZE, textR, textG, textB, 1);
+            drawText(keyNames, x + FONT_SIZE, y, FONT_SIZE, textR, textG, textB, 1);
+            y += LINE_HEIGHT;
+        }
+
+        y += LINE_HEIGHT;
+        drawText('Enter — изменить, Backspace — очистить', x, y, FONT_SIZE, 0.7, 0.7, 0.7, 1, true);
+        drawText(`R — по умолчанию, ${getActionKeyNames('pause')} — назад`, x, y + LINE_HEIGHT, FONT_SIZE, 0.7, 0.7, 0.7, 1, true);
+    }
+
+    onAction(action) {
+        if (action === 'pause' && !this.isListening)
+            setState(new TitleState());
+    }
+
+    onKeyDown(code) {
+        if (this.isListening) {
+            if (code !== CANCEL_KEY)
+                input.bindKey(this.selectedAction, code, Object.keys(ACTION_NAMES));
+
+            // The key that was just bound doesn't go on to trigger its action
+            input.discardPresses();
+            this.isListening = false;
+            return;
+        }
+
+        const count = Object.keys(ACTION_NAMES).length;
+
+        if (code === 'ArrowUp') {
+            this.selectedIndex = (this.selectedIndex + count - 1) % count;
+        } else if (code === 'ArrowDown') {
+            this.selectedIndex = (this.selectedIndex + 1) % count;
+        } else if (code === 'Enter') {
+            this.isListening = true;
+        } else if (code === 'Backspace' || code === 'Delete') {
+            input.clearKeys(this.selectedAction);
+        } else if (code === 'KeyR') {
+            input.resetBindings();
+        }
+    }
+
+    onClick() {
+        setState(new TitleState());
+    }
+}
+
+class PlayingState extends GameState {
+    update() {
+        const actions = new Set(RECORDED_ACTIONS.filter(action => input.isActionDown(action)));
+        recorder.record(actions);
+        simulateStep(actions);
+
+        if (runStep % CHECKSUM_INTERVAL === 0 || runEndReason !== null)
+            recorder.addChecksum(getStateChecksum());
+
+        if (runEndReason !== null)
+            setState(new GameOverState());
+    }
+
+    draw(timestamp, alpha) {
+        drawScene(timestamp, alpha);
+        drawHud();
+
+        if (isTouchControlsVisible)
+            drawTouchControls();
+    }
+
+    onAction(action) {
+        if (action === 'pause')
+            setState(new PausedState());
+    }
+}
+
+class PausedState extends GameState {
+    draw(timestamp) {
+        drawScene(timestamp);
+        drawHud();
+        drawOverlay(0.5);
+
+        const x = renderer.width / 2;
+        const y = renderer.height / 3;
+
+        drawText('Пауза', x, y, 64, 1, 1, 1, 1, true);
+        drawText(`${getActionKeyNames('pause')} — продолжить`, x, y + 96, 32, 1, 1, 1, 1, true);
+        drawText(`${getActionKeyNames('restart')} — заново`, x, y + 144, 32, 1, 1, 1, 1, true);
+        drawText(`${getActionKeyNames('quit')} — в меню`, x, y + 192, 32, 1, 1, 1, 1, true);
+        drawText(`${getActionKeyNames('saveReplay')} — сохранить повтор`, x, y + 240, 32, 1, 1, 1, 1, true);
+
+        if (isTouchControlsVisible)
+            drawTouchControls();
+    }
+
+    onAction(action) {
+        if (action === 'pause') {
+            setState(new PlayingState());
+        } else if (action === 'restart') {
+            startRun();
+            setState(new PlayingState());
+        } else if (action === 'quit') {
+            setState(new TitleState());
+        } else if (action === 'saveReplay') {
+            downloadReplay();
+        }
+    }
+}
+
+/** Titles of the game over screen by the reason the run has ended. */
+const RUN_END_TITLES = {
+    air: 'Закончился воздух',
+    crushed: 'Игра окончена',
+    complete: 'Уровень пройден',
+};
+
+/** Time the game over screen is shown before the results, in milliseconds. */
+const GAME_OVER_TIME = 2000;
+
+class GameOverState extends GameState {
+    constructor() {
+        super();
+
+        this.time = 0;
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+        if (this.time > GAME_OVER_TIME)
+            setState(new ResultsState());
+    }
+
+    draw(timestamp) {
+        drawScene(timestamp);
+        drawHud();
+
+        const [r, g, b] = (runEndReason === 'complete') ? [0.4, 1, 0.4] : [1, 0.3, 0.2];
+        drawText(RUN_END_TITLES[runEndReason], renderer.width / 2, renderer.height / 2 - 32, 64, r, g, b, 1, true);
+    }
+
+    onAction() {
+        setState(new ResultsState());
+    }
+
+    onClick() {
+        setState(new ResultsState());
+    }
+}
+
+class ResultsState extends GameState {
+    draw(timestamp) {
+        drawScene(timestamp);
+        drawOverlay(0.75);
+
+        const { inventory, maxDepth } = player;
+
+        const ICON_SIZE = 32;
+        const FONT_SIZE = 32;
+        const LINE_HEIGHT = 48;
+
+        const x = renderer.width / 2;
+        let y = renderer.height / 6;
+
+        drawText('Результаты', x, y, 64, 1, 1, 1, 1, true);
+        y += 2 * LINE_HEIGHT;
+
+        drawText(`Глубина: ${maxDepth} м`, x, y, FONT_SIZE, 1, 1, 1, 1, true);
+        y += LINE_HEIGHT;
+
+        if (isNewBestDepth)
+            drawText('Новый рекорд!', x, y, FONT_SIZE, 1, 0.85, 0.2, 1, true);
+        else
+            drawText(`Рекорд: ${bestDepth} м`, x, y, FONT_SIZE, 0.7, 0.7, 0.7, 1, true);
+
+        y += LINE_HEIGHT;
+
+        const items = [...inventory.items.values()].sort((a, b) => a.typeId - b.typeId);
+        for (const { typeId, count, value } of items) {
+            const texture = textures[tileTypes.get(typeId).texture];
+            drawIcon(texture, x - 4 * ICON_SIZE, y, ICON_SIZE);
+            drawText(`×${count}  $${value}`, x - 2.5 * ICON_SIZE, y, FONT_SIZE, 1, 1, 1, 1);
+            y += LINE_HEIGHT;
+        }
+
+        drawText(`Итого: $${inventory.totalValue}`, x, y, FONT_SIZE, 1, 1, 1, 1, true);
+        y += LINE_HEIGHT;
+
+        drawText(`Очки: ${player.score}`, x, y, FONT_SIZE, 1, 0.85, 0.2, 1, true);
+        y += 2 * LINE_HEIGHT;
+
+        drawText(`${getActionKeyNames('confirm')} — ещё раз`, x, y, FONT_SIZE, 1, 1, 1, 1, true);
+        drawText(`${getActionKeyNames('quit')} — в меню`, x, y + LINE_HEIGHT, FONT_SIZE, 1, 1, 1, 1, true);
+        drawText(`${getActionKeyNames('saveReplay')} — сохранить повтор`, x, y + 2 * LINE_HEIGHT, FONT_SIZE, 1, 1, 1, 1, true);
+    }
+
+    onAction(action) {
+        if (action === 'confirm') {
+            startRun();
+            setState(new PlayingState());
+        } else if (action === 'quit') {
+            setState(new TitleState());
+        } else if (action === 'saveReplay') {
+            downloadReplay();
+        }
+    }
+
+    onClick() {
+        startRun();
+        setState(new PlayingState());
+    }
+}
+
+/** Playback speeds that fast-forward switches between, in steps per simulation step. */
+const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+/** Steps a replay is rewound or fast-forwarded by with the arrows, ten seconds of the run. */
+const REPLAY_SEEK_STEPS = 600;
+
+/**
+ * @param {number} steps
+ */
+function formatSteps(steps) {
+    const seconds = Math.floor(steps * TIME_STEP / 1000);
+
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Plays a recorded run back through the simulation and checks it against the recorded checksums.
+ */
+class ReplayState extends GameState {
+    /**
+     * @param {Replay} replay
+     */
+    constructor(replay) {
+        super();
+
+        this.replay = replay;
+        this.isPaused = false;
+        this.speedIndex = 0;
+
+        /** @type {number|null} First step after which the state didn't match the recorded checksum, or null. */
+        this.desyncStep = null;
+
+        startRun(replay.settings, true);
+    }
+
+    get isFinished() { return runStep >= this.replay.steps; }
+
+    update() {
+        if (this.isPaused) return;
+
+        for (let i = 0; i < REPLAY_SPEEDS[this.speedIndex] && !this.isFinished; i++)
+            this.step();
+    }
+
+    step() {
+        const { replay } = this;
+
+        simulateStep(replay.getActions(runStep));
+
+        const checksum = replay.getChecksum(runStep);
+        if (typeof checksum !== 'undefined' && checksum !== getStateChecksum() && this.desyncStep === null) {
+            console.error(`Replay is out of sync after step ${runStep}`);
+            this.desyncStep = runStep;
+            this.isPaused = true;
+        }
+    }
+
+    /**
+     * Plays the replay to the step, from the start if it is behind the current one.
+     *
+     * @param {number} step
+     */
+    seek(step) {
+        const { replay } = this;
+
+        step = Math.min(Math.max(Math.round(step), 0), replay.steps);
+        if (step < runStep) {
+            startRun(replay.settings, true);
+            this.desyncStep = null;
+        }
+
+        while (runStep < step)
+            this.step();
+    }
+
+    /**
+     * Returns the progress bar, which seeks the replay when clicked.
+     */
+    getProgressBar() {
+        const height = 16;
+        const margin = 32;
+
+        return { x: margin, y: renderer.height - margin - height, width: renderer.width - 2 * margin, height };
+    }
+
+    draw(timestamp, alpha) {
+        const { replay, desyncStep } = this;
+
+        drawScene(timestamp, this.isPaused ? 1 : alpha);
+        drawHud();
+
+        const FONT_SIZE = 24;
+
+        const bar = this.getProgressBar();
+        drawMeter(bar.x, bar.y, bar.width, bar.height, (replay.steps > 0) ? runStep / replay.steps : 1, 1, 1, 1);
+
+        const status = this.isPaused ? 'пауза' : `×${REPLAY_SPEEDS[this.speedIndex]}`;
+        drawText(`Повтор ${formatSteps(runStep)} / ${formatSteps(replay.steps)}, шаг ${runStep}, ${status}`, bar.x, bar.y - 2 * FONT_SIZE, FONT_SIZE, 1, 1, 1, 1);
+
+        if (desyncStep !== null)
+            drawText(`Рассинхронизация после шага ${desyncStep}`, renderer.width / 2, renderer.height / 2, 32, 1, 0.3, 0.2, 1, true);
+        else if (this.isFinished)
+            drawText('Повтор совпал с записью', renderer.width / 2, renderer.height / 2, 32, 0.4, 1, 0.4, 1, true);
+
+        drawText(`Пробел — пауза, F — скорость, стрелки — перемотка, ${getActionKeyNames('quit')} — выход`, renderer.width / 2, bar.y - 4 * FONT_SIZE, FONT_SIZE, 0.7, 0.7, 0.7, 1, true);
+    }
+
+    onAction(action) {
+        if (action === 'quit')
+            setState(new TitleState());
+    }
+
+    onKeyDown(code) {
+        if (code === 'Space') {
+            this.isPaused = !this.isPaused;
+        } else if (code === 'KeyF') {
+            this.speedIndex = (this.speedIndex + 1) % REPLAY_SPEEDS.length;
+        } else if (code === 'ArrowLeft') {
+            this.seek(runStep - REPLAY_SEEK_STEPS);
+        } else if (code === 'ArrowRight') {
+            this.seek(runStep + REPLAY_SEEK_STEPS);
+        } else if (code === 'Home') {
+            this.seek(0);
+        }
+    }
+
+    onClick(x, y) {
+        const bar = this.getProgressBar();
+        if (x >= bar.x && x < bar.x + bar.width && y >= bar.y - bar.height && y < bar.y + 2 * bar.height)
+            this.seek((x - bar.x) / bar.width * this.replay.steps);
+    }
 }
 
-const MAX_DELTA_TIME = 1000 / 30;
+/** @type {GameState} */
+let state = new GameState();
+
+/**
+ * @param {GameState} nextState
+ */
+function setState(nextState) {
+    state = nextState;
+}
+
+/** Duration of a simulation step, in milliseconds. */
+const TIME_STEP = 1000 / 60;
+
+/** Longest frame time that is simulated, so the game doesn't try to catch up after a freeze, in milliseconds. */
+const MAX_FRAME_TIME = 250;
+
+/** Time that is not simulated yet, in milliseconds. */
+let accumulatedTime = 0;
 
-let viewOffsetY = 0;
+/** How far the drawn frame is between the last two simulation steps, from 0 to 1. */
+let interpolationFactor = 1;
+
+/** Rows of the view above the player. */
+const VIEW_ROWS_ABOVE_PLAYER = 5;
+
+/**
+ * Rows of the view the world is generated for. It doesn't depend on the screen, so replays generate chunks
+ * and spawn objects at the same steps on any screen, and the rows generated ahead cover taller views.
+ */
+const GENERATED_VIEW_ROWS = 40;
+
+const camera = new Camera();
+
+/** Time since the last frame, in milliseconds. */
+let frameTime = 0;
 
 function update(timestamp) {
     requestAnimationFrame(update);
 
-    const deltaTime = Math.min((prevTimestamp !== null) ? timestamp - prevTimestamp : 0, MAX_DELTA_TIME);
+    frameTime = Math.min((prevTimestamp !== null) ? timestamp - prevTimestamp : 0, MAX_FRAME_TIME);
     prevTimestamp = timestamp;
 
+    // Actions go to the same state, even if one of them switches it
+    input.update();
+    const current = state;
+    for (const action of input.pressedActions)
+        current.onAction(action);
+
+    // Simulate in fixed steps, so the game plays the same at any frame rate
+    accumulatedTime += frameTime;
+    while (accumulatedTime >= TIME_STEP) {
+        state.update(TIME_STEP);
+        accumulatedTime -= TIME_STEP;
+    }
+
+    state.draw(timestamp, accumulatedTime / TIME_STEP);
+    updateMusic();
+}
+
+/**
+ * Updates game objects and generates the world around the view.
+ *
+ * @param {number} deltaTime
+ */
+function updateWorld(deltaTime) {
     for (const gameObject of gameObjects)
         gameObject.update(deltaTime);
 
@@ -682,10 +2195,46 @@ function update(timestamp) {
         objectDeleteQueue.clear();
     }
 
+    resolveChains();
+    chainDisplayTime = Math.max(chainDisplayTime - deltaTime, 0);
+
+    const top = player.y - VIEW_ROWS_ABOVE_PLAYER;
+    world.update(top, top + GENERATED_VIEW_ROWS);
+
+    // Pickups that were passed by are dropped with their rows, so they don't pile up over the run
+    for (const gameObject of gameObjects)
+        if (gameObject instanceof Pickup && gameObject.y < world.firstRow)
+            objectDeleteQueue.add(gameObject);
+
+    for (const { kind, x, y } of world.takeSpawns())
+        gameObjects.push(new Pickup(x, y, kind));
+}
+
+/**
+ * Draws the world with post-processing to the screen.
+ *
+ * @param {number} timestamp
+ * @param {number} alpha How far the frame is between the last two simulation steps, from 0 to 1.
+ */
+function drawScene(timestamp, alpha = 1) {
+    interpolationFactor = alpha;
+
+    camera.fit(renderer.width, renderer.height, world.columns, pixelRatio);
+    camera.follow(player.drawY, VIEW_ROWS_ABOVE_PLAYER, !player.isOnGround && player.isAlive && player.climb === null, frameTime);
+
     framebufferMultisample.bind();
-    renderer.clear(Math.pow(0.63, 2.2), Math.pow(0.88, 2.2), Math.pow(0.98, 2.2), 1);
+    renderer.clear(0, 0, 0, 1);
     sceneShaderProgram.bind().setUniformMatrix('matrix', renderer.matrix);
 
+    // Draw background
+
+    const [r0, g0, b0] = biomes.getBackground(camera.y);
+    const [r1, g1, b1] = biomes.getBackground(camera.y + camera.rows);
+
+    spriteBatch.begin();
+    spriteBatch.drawGradientRectangle(textures['white'], 0, 0, renderer.width, renderer.height, 0, 0, 1, 1, r0, g0, b0, 1, r1, g1, b1, 1);
+    spriteBatch.end();
+
     // Draw scene
 
     spriteBatch.begin();
@@ -693,21 +2242,28 @@ function update(timestamp) {
     for (const gameObject of gameObjects)
         gameObject.draw();
 
-    for (let i = 0; i < tiles.length; i++) {
-        const tileTypeId = tiles[i];
-        if (tileTypeId === 0) continue;
-
-        const x = i % TILES_COLUMNS;
-        const y = Math.floor(i / TILES_COLUMNS);
-
-        const tileType = TILE_TYPES[tileTypeId];
-        const textureName = tileType.texture;
-        const texture = textures[textureName];
-
-        if (breakingTileX === x && breakingTileY === y) {
-            spriteBatch.drawRectangle(texture, x * TILE_SIZE, (y - viewOffsetY) * TILE_SIZE, TILE_SIZE, TILE_SIZE, 0, 0, 1, 1, 1 - breakingTileProgress, 1 - breakingTileProgress, 1 - breakingTileProgress, 1 - breakingTileProgress * breakingTileProgress);
-        } else {
-            spriteBatch.drawRectangle(texture, x * TILE_SIZE, (y - viewOffsetY) * TILE_SIZE, TILE_SIZE, TILE_SIZE, 0, 0, 1, 1, 1, 1, 1, 1);
+    // The tiles connected to the tile being broken fade out. Drawing doesn't split clusters, so it can't change the simulation
+    const { clusters } = world;
+    const breakingKeys = (breakingTileX !== -1) ? clusters.getConnectedKeys(breakingTileX, breakingTileY) : new Set();
+
+    const { tileSize } = camera;
+    const firstRow = Math.max(Math.floor(camera.y), 0);
+    const lastRow = Math.ceil(camera.y + camera.rows);
+    for (let y = firstRow; y <= lastRow; y++) {
+        for (let x = 0; x < world.columns; x++) {
+            const tileTypeId = getTileAt(x, y);
+            if (tileTypeId === 0) continue;
+
+            const tileType = tileTypes.get(tileTypeId);
+            const textureName = tileType.texture;
+            const texture = textures[textureName];
+
+            const [screenX, screenY] = camera.worldToScreen(x, y);
+            if (breakingKeys.has(clusters.getKey(x, y))) {
+                spriteBatch.drawRectangle(texture, screenX, screenY, tileSize, tileSize, 0, 0, 1, 1, 1 - breakingTileProgress, 1 - breakingTileProgress, 1 - breakingTileProgress, 1 - breakingTileProgress * breakingTileProgress);
+            } else {
+                spriteBatch.drawRectangle(texture, screenX, screenY, tileSize, tileSize, 0, 0, 1, 1, 1, 1, 1, 1);
+            }
         }
     }
 
@@ -724,7 +2280,7 @@ function update(timestamp) {
     spriteBatch.begin();
 
     for (const gameObject of gameObjects)
-        if (gameObject.objectType === 'TileEntity')
+        if (gameObject.objectType === 'TileGroup')
             gameObject.draw();
 
     spriteBatch.end();
@@ -750,8 +2306,8 @@ function update(timestamp) {
         pongFramebuffer.unbind();
     }
 
-    context.viewport(0, 0, renderer.width, renderer.height);
-    screenShaderProgram.bind().setUniformInteger('blurTexture', 1).setUniform('blurBrightness', (Math.sin(8 * timestamp / 1000) + 1) / 2);
+    context.viewport(0, 0, canvas.width, canvas.height);
+    screenShaderProgram.bind().setUniformInteger('blurTexture', 1).setUniform('blurBrightness', biomes.getBloom(player.y) * (Math.sin(8 * timestamp / 1000) + 1) / 2);
     framebuffer.attachment.bind();
     pongFramebuffer.attachment.bind(1);
     renderer.beginGeometry();
@@ -759,4 +2315,200 @@ function update(timestamp) {
     renderer.endGeometry();
 }
 
+/** Size of an em in the font atlas, in pixels. */
+const FONT_ATLAS_EM_SIZE = 40;
+
+/** Distance field range of the font atlas, in pixels. */
+const FONT_DISTANCE_RANGE = 2;
+
+/**
+ * @param {number} size Font size, in pixels.
+ */
+function bindFontShaderProgram(size) {
+    return fontShaderProgram.bind()
+        .setUniformMatrix('matrix', renderer.matrix)
+        .setUniform('screenPxRange', Math.max(FONT_DISTANCE_RANGE * size * pixelRatio / FONT_ATLAS_EM_SIZE, 1))
+        .setUniform('outlineBias', 0.25);
+}
+
+/**
+ * Draws a string directly to the screen.
+ *
+ * @param {string} str
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size Font size, in pixels.
+ * @param {boolean} isCentered Whether the string is centered horizontally at `x`.
+ */
+function drawText(str, x, y, size, r, g, b, a, isCentered = false) {
+    spriteBatch.begin();
+
+    if (isCentered)
+        spriteBatch.drawStringOffCenter(textures['font'], font, x, y, str, size, r, g, b, a);
+    else
+        spriteBatch.drawString(textures['font'], font, x, y, str, size, r, g, b, a);
+
+    bindFontShaderProgram(size);
+    spriteBatch.end();
+}
+
+/**
+ * @param {Texture} texture
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size
+ */
+function drawIcon(texture, x, y, size) {
+    spriteBatch.begin();
+    spriteBatch.drawRectangle(texture, x, y, size, size, 0, 0, 1, 1, 1, 1, 1, 1);
+    sceneShaderProgram.bind().setUniformMatrix('matrix', renderer.matrix);
+    spriteBatch.end();
+}
+
+/**
+ * Darkens the whole screen.
+ *
+ * @param {number} opacity
+ */
+function drawOverlay(opacity) {
+    spriteBatch.begin();
+    spriteBatch.drawRectangle(textures['white'], 0, 0, renderer.width, renderer.height, 0, 0, 1, 1, 0, 0, 0, opacity);
+    sceneShaderProgram.bind().setUniformMatrix('matrix', renderer.matrix);
+    spriteBatch.end();
+}
+
+/** Canvas height at which the HUD is drawn at its base size, in CSS pixels. */
+const HUD_BASE_HEIGHT = 720;
+
+/**
+ * Returns the factor HUD sizes are multiplied by, so the HUD keeps its proportions on small and large canvases.
+ */
+function getHudScale() {
+    return Math.min(Math.max(renderer.height / HUD_BASE_HEIGHT, 0.75), 1.5);
+}
+
+/**
+ * Draws the heads-up display over the scene: depth and status meters on the left, score and inventory on the right.
+ */
+function drawHud() {
+    const scale = getHudScale();
+    const margin = Math.round(16 * scale);
+    const fontSize = Math.round(32 * scale);
+    const smallFontSize = Math.round(24 * scale);
+    const lineHeight = Math.round(40 * scale);
+
+    const depth = Math.max(Math.floor(player.y), 0);
+
+    let y = margin;
+    drawText(`${depth} м`, margin, y, fontSize, 1, 1, 1, 1);
+    y += lineHeight;
+
+    drawText(`Рекорд: ${Math.max(bestDepth, depth)} м`, margin, y, smallFontSize, 0.7, 0.7, 0.7, 1);
+    y += 1.5 * lineHeight;
+
+    drawText(`Жизни: ${player.lives}`, margin, y, smallFontSize, 1, 1, 1, 1);
+    y += lineHeight;
+
+    // The air meter blinks red when the air is running out
+    const air = player.air / MAX_AIR;
+    const [r, g, b] = (air < 0.25 && Math.floor(performance.now() / 250) % 2 === 0) ? [1, 0.3, 0.2] : [0.4, 0.8, 1];
+    drawText('Воздух', margin, y, smallFontSize, 1, 1, 1, 1);
+    drawMeter(margin, y + lineHeight, Math.round(200 * scale), Math.round(16 * scale), air, r, g, b);
+    y += 2 * lineHeight;
+
+    // Active power-up effects with the time left
+    for (const [name, time] of player.effects) {
+        const { label, color, duration } = EFFECTS[name];
+        drawText(`${label} ${Math.ceil(time / 1000)} с`, margin, y, smallFontSize, ...color, 1);
+        drawMeter(margin, y + lineHeight, Math.round(200 * scale), Math.round(8 * scale), time / duration, ...color);
+        y += 1.5 * lineHeight;
+    }
+
+    drawScore(scale, margin, fontSize, lineHeight);
+
+    // The chain counter fades out at the end
+    if (chainDisplayTime > 0)
+        drawText(`Цепочка ×${chainCount}`, renderer.width / 2, margin, fontSize, 1, 0.6, 0.2, Math.min(chainDisplayTime / 500, 1), true);
+}
+
+/**
+ * Draws the score, the collected tiles and their total value in the top right corner.
+ *
+ * @param {number} scale
+ * @param {number} margin
+ * @param {number} fontSize
+ * @param {number} lineHeight
+ */
+function drawScore(scale, margin, fontSize, lineHeight) {
+    const { inventory } = player;
+
+    const score = String(player.score);
+    drawText(score, renderer.width - margin - spriteBatch.measureString(font, score, fontSize), margin, fontSize, 1, 0.85, 0.2, 1);
+
+    const iconSize = Math.round(32 * scale);
+    const x = renderer.width - margin - Math.round(4 * iconSize);
+
+    const items = [...inventory.items.values()].sort((a, b) => a.typeId - b.typeId);
+    for (let i = 0; i < items.length; i++) {
+        const y = margin + (i + 1) * lineHeight;
+        drawIcon(textures[tileTypes.get(items[i].typeId).texture], x, y, iconSize);
+        drawText(`×${items[i].count}`, x + iconSize + Math.round(8 * scale), y, fontSize, 1, 1, 1, 1);
+    }
+
+    if (inventory.totalCount > 0)
+        drawText(`$${inventory.totalValue}`, x, margin + (items.length + 1) * lineHeight, fontSize, 1, 0.85, 0.2, 1);
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @param {number} value Filled part of the meter, from 0 to 1.
+ */
+function drawMeter(x, y, width, height, value, r, g, b) {
+    spriteBatch.begin();
+    spriteBatch.drawRectangle(textures['white'], x, y, width, height, 0, 0, 1, 1, 0, 0, 0, 0.5);
+    spriteBatch.drawRectangle(textures['white'], x, y, width * value, height, 0, 0, 1, 1, r, g, b, 1);
+    sceneShaderProgram.bind().setUniformMatrix('matrix', renderer.matrix);
+    spriteBatch.end();
+}
+
+/**
+ * Draws the d-pad and the pause button. Buttons that are held are brighter.
+ */
+function drawTouchControls() {
+    const heldActions = new Set(input.pointerActions.values());
+
+    spriteBatch.begin();
+
+    for (const { action, x, y, size, angle } of getTouchButtons()) {
+        const opacity = heldActions.has(action) ? 0.4 : 0.15;
+        spriteBatch.drawRectangle(textures['white'], x, y, size, size, 0, 0, 1, 1, 1, 1, 1, opacity);
+
+        const centerX = x + size / 2;
+        const centerY = y + size / 2;
+        const thickness = size / 12;
+
+        if (angle === null) {
+            // Pause sign
+            spriteBatch.drawRectangle(textures['white'], centerX - 2.5 * thickness, centerY - size / 5, 1.5 * thickness, 2 * size / 5, 0, 0, 1, 1, 1, 1, 1, 0.8);
+            spriteBatch.drawRectangle(textures['white'], centerX + thickness, centerY - size / 5, 1.5 * thickness, 2 * size / 5, 0, 0, 1, 1, 1, 1, 1, 0.8);
+            continue;
+        }
+
+        // Chevron pointing at the angle, made of two bars meeting at its tip
+        const arm = size / 5;
+        for (const side of [-1, 1]) {
+            const offset = side * arm / 2;
+            const barX = centerX - Math.sin(angle) * offset;
+            const barY = centerY + Math.cos(angle) * offset;
+            spriteBatch.drawRotatedRectangleOffCenter(textures['white'], barX, barY, arm * Math.SQRT2 + thickness, thickness, angle - side * Math.PI / 4, 0, 0, 1, 1, 1, 1, 1, 0.8);
+        }
+    }
+
+    sceneShaderProgram.bind().setUniformMatrix('matrix', renderer.matrix);
+    spriteBatch.end();
+}
+
 (document.readyState === 'loading') ? document.addEventListener('DOMContentLoaded', main) : main();
@@ -0,0 +1,110 @@
+/** Stick deflection below which the stick is considered centered. */
+const STICK_DEADZONE = 0.25;
+
+/** Deflection along an axis from which the stick drives the action of that direction. */
+const STICK_THRESHOLD = 0.5;
+
+/**
+ * @typedef {Object} PadState
+ * @property {number} index Gamepad index, which tells pads apart while they stay connected.
+ * @property {string} id
+ * @property {Set<string>} actions Actions held on the pad.
+ */
+
+/**
+ * @typedef {Object} PadAction
+ * @property {number} index Index of the gamepad the action was pressed on.
+ * @property {string} action
+ */
+
+/**
+ * Polls gamepads with the standard mapping and maps their d-pad, left stick and buttons to actions.
+ */
+export class GamepadInput {
+    /**
+     * @param {Object.<string, number[]>} actionButtons Standard mapping button indices that drive each action.
+     * @param {Object.<string, [number, number]>} stickActions Left stick axis (0 horizontal, 1 vertical) and direction (-1 or 1) that drive each action.
+     */
+    constructor(actionButtons, stickActions) {
+        this.actionButtons = actionButtons;
+        this.stickActions = stickActions;
+
+        /** @type {Map<number, PadState>} */
+        this.pads = new Map();
+
+        addEventListener('gamepaddisconnected', event => this.pads.delete(event.gamepad.index));
+    }
+
+    /**
+     * Reads all connected gamepads. Should be called once a frame.
+     *
+     * @returns {PadAction[]} Actions pressed since the last poll.
+     */
+    poll() {
+        const { pads } = this;
+
+        const pressed = [];
+        if (typeof navigator.getGamepads !== 'function') return pressed;
+
+        for (const gamepad of navigator.getGamepads()) {
+            if (gamepad === null || !gamepad.connected) continue;
+
+            const { index, id } = gamepad;
+            const actions = this.getActions(gamepad);
+
+            // A pad that was swapped for another one at the same index starts over
+            const pad = pads.get(index);
+            const prevActions = (typeof pad !== 'undefined' && pad.id === id) ? pad.actions : new Set();
+
+            for (const action of actions)
+                if (!prevActions.has(action))
+                    pressed.push({ index, action });
+
+            pads.set(index, { index, id, actions });
+        }
+
+        return pressed;
+    }
+
+    /**
+     * @param {Gamepad} gamepad
+     */
+    getActions(gamepad) {
+        const { actionButtons, stickActions } = this;
+        const { buttons, axes } = gamepad;
+
+        const actions = new Set();
+        for (const [action, indices] of Object.entries(actionButtons))
+            if (indices.some(i => buttons[i]?.pressed))
+                actions.add(action);
+
+        const x = axes[0] ?? 0;
+        const y = axes[1] ?? 0;
+        if (Math.hypot(x, y) >= STICK_DEADZONE) {
+            for (const [action, [axis, sign]] of Object.entries(stickActions))
+                if (sign * (axis === 0 ? x : y) >= STICK_THRESHOLD)
+                    actions.add(action);
+        }
+
+        return actions;
+    }
+
+    /**
+     * Whether the action is held on the gamepad, or on any gamepad if the index is null.
+     *
+     * @param {string} action
+     * @param {number|null} index
+     */
+    isActionDown(action, index = null) {
+        const { pads } = this;
+
+        if (index !== null)
+            return pads.get(index)?.actions.has(action) ?? false;
+
+        for (const pad of pads.values())
+            if (pad.actions.has(action))
+                return true;
+
+        return false;
+    }
+}
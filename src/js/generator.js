@@ -0,0 +1,241 @@
+import { BiomeRegistry } from './biomes.js';
+import { ROW_PATTERNS, getDifficulty, getPatternWeight, getWallDensityScale } from './patterns.js';
+import { Random, hashString } from './random.js';
+import { TileRegistry } from './tiles.js';
+
+/** Name of the hard tile that row patterns build walls from. */
+export const WALL_TILE = 'block';
+
+/** Name of the tile below the spawn rows. */
+export const GROUND_TILE = 'sand';
+
+/** Chance of an air capsule in a generated row. */
+const AIR_CAPSULE_CHANCE = 0.04;
+
+/** Chance of a power-up in a generated row without an air capsule. */
+const POWER_UP_CHANCE = 0.015;
+
+/** Depth from which power-ups are placed. */
+const POWER_UP_MIN_DEPTH = 20;
+
+const POWER_UP_KINDS = ['drill', 'bomb', 'shield', 'slow'];
+
+/**
+ * @typedef {Object} ObjectSpawn
+ * @property {string} kind
+ * @property {number} x
+ * @property {number} y
+ */
+
+export class LevelGenerator {
+    /**
+     * @param {string} seed
+     * @param {number} columns
+     * @param {TileRegistry} tileTypes
+     * @param {BiomeRegistry|null} biomes Biomes that change the tile spawn weights by depth.
+     * @param {number} depth Depth of the first generated row. The spawn rows are only generated at the top of the level.
+     */
+    constructor(seed, columns, tileTypes, biomes = null, depth = 0) {
+        this.seed = seed;
+        this.columns = columns;
+        this.tileTypes = tileTypes;
+        this.biomes = biomes;
+        this.wallTypeId = tileTypes.getByName(WALL_TILE).id;
+        this.groundTypeId = tileTypes.getByName(GROUND_TILE).id;
+        this.random = new Random(hashString(seed));
+
+        /** Depth of the next row returned by the generator. */
+        this.depth = depth;
+
+        /** @type {number[][]} */
+        this.pendingRows = (depth === 0) ? this.createSpawnRows() : [];
+
+        /** @type {ObjectSpawn[]} Objects placed in the generated rows. */
+        this.pendingObjects = [];
+    }
+
+    /**
+     * Returns the spawn weight of the tile type at the current depth, scaled by the biome.
+     * The wall tile gets more frequent as the difficulty grows.
+     *
+     * @param {import('./tiles.js').TileType} type
+     */
+    getSpawnWeight(type) {
+        const { depth, tileTypes, biomes, wallTypeId } = this;
+
+        let weight = tileTypes.getSpawnWeight(type, depth);
+        if (biomes !== null)
+            weight *= biomes.getTileWeightScale(type.name, depth);
+
+        if (type.id === wallTypeId)
+            weight *= getWallDensityScale(getDifficulty(depth));
+
+        return weight;
+    }
+
+    /**
+     * Picks a random tile type using the spawn weights at the current depth.
+     */
+    getNextBlockType() {
+        const { random, tileTypes } = this;
+
+        let totalWeight = 0;
+        for (const type of tileTypes.types.values())
+            totalWeight += this.getSpawnWeight(type);
+
+        let weight = random.next() * totalWeight;
+        for (const type of tileTypes.types.values()) {
+            weight -= this.getSpawnWeight(type);
+            if (weight < 0)
+                return type.id;
+        }
+
+        return 0;
+    }
+
+    /**
+     * @param {number} count
+     */
+    createRow(count) {
+        const row = [];
+        for (let i = 0; i < count; i++)
+            row.push(this.getNextBlockType());
+
+        return row;
+    }
+
+    /**
+     * Creates a row with walls at both edges and random tiles in between.
+     */
+    createEdgeWallsRow() {
+        const { columns, wallTypeId } = this;
+
+        const wallWidth = Math.round(columns * 2 / 7);
+        const row = [];
+        for (let i = 0; i < columns; i++)
+            row.push((i < wallWidth || i >= columns - wallWidth) ? wallTypeId : this.getNextBlockType());
+
+        return row;
+    }
+
+    /**
+     * Creates a row with a wall in the center and random tiles at both edges.
+     */
+    createCenterWallRow() {
+        const { columns, wallTypeId } = this;
+
+        const edgeWidth = Math.round(columns * 2 / 7);
+        const row = [];
+        for (let i = 0; i < columns; i++)
+            row.push((i >= edgeWidth && i < columns - edgeWidth) ? wallTypeId : this.getNextBlockType());
+
+        return row;
+    }
+
+    /**
+     * Creates a row where walls alternate with random tiles.
+     */
+    createCheckerWallsRow() {
+        const { columns, wallTypeId } = this;
+
+        const row = [];
+        for (let i = 0; i < columns; i++)
+            row.push((i % 2 === 1) ? wallTypeId : this.getNextBlockType());
+
+        return row;
+    }
+
+    /**
+     * Places air capsules and power-ups in the rows, clearing the tiles where they are.
+     *
+     * @param {number[][]} rows
+     */
+    placeObjects(rows) {
+        const { random, columns, depth } = this;
+
+        for (let j = 0; j < rows.length; j++) {
+            let kind;
+            if (random.next() < AIR_CAPSULE_CHANCE)
+                kind = 'air';
+            else if (depth + j >= POWER_UP_MIN_DEPTH && random.next() < POWER_UP_CHANCE)
+                kind = POWER_UP_KINDS[random.nextInt(POWER_UP_KINDS.length)];
+            else
+                continue;
+
+            const x = random.nextInt(columns);
+            rows[j][x] = 0;
+            this.pendingObjects.push({ kind, x, y: depth + j });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Returns objects placed in the rows above the given one, which were not taken yet.
+     *
+     * @param {number} endRow
+     */
+    takeObjects(endRow) {
+        const { pendingObjects } = this;
+
+        const objects = pendingObjects.filter(object => object.y < endRow);
+        this.pendingObjects = pendingObjects.filter(object => object.y >= endRow);
+
+        return objects;
+    }
+
+    /**
+     * Generates the next piece of the level, which is one or more rows of a random pattern.
+     *
+     * @returns {number[][]}
+     */
+    generateRows() {
+        const { random, depth } = this;
+
+        const difficulty = getDifficulty(depth);
+
+        let totalWeight = 0;
+        for (const pattern of ROW_PATTERNS)
+            totalWeight += getPatternWeight(pattern, depth, difficulty);
+
+        let weight = random.next() * totalWeight;
+        for (const pattern of ROW_PATTERNS) {
+            weight -= getPatternWeight(pattern, depth, difficulty);
+            if (weight < 0)
+                return this.placeObjects(pattern.generate(this));
+        }
+
+        return this.placeObjects([this.createRow(this.columns)]);
+    }
+
+    /**
+     * Creates the empty rows the player starts in and the first row of sand below them.
+     *
+     * @returns {number[][]}
+     */
+    createSpawnRows() {
+        const { columns } = this;
+
+        const rows = [];
+        for (let j = 0; j < 5; j++)
+            rows.push(new Array(columns).fill(0));
+
+        rows.push(new Array(columns).fill(this.groundTypeId));
+
+        return rows;
+    }
+
+    /**
+     * Returns the next row of the level. Rows are always generated in the same order, so the same seed yields the same level.
+     */
+    nextRow() {
+        const { pendingRows } = this;
+
+        if (pendingRows.length === 0)
+            pendingRows.push(...this.generateRows());
+
+        this.depth++;
+
+        return pendingRows.shift();
+    }
+}
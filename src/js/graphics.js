@@ -753,6 +753,25 @@ export class Renderer {
         );
     }
 
+    /**
+     * Draws a rectangle with a vertical gradient from the top colour to the bottom colour.
+     */
+    drawGradientRectangle(x, y, width, height, u0, v0, u1, v1, r0, g0, b0, a0, r1, g1, b1, a1) {
+        const { MAX_VERTICES, vertexCount } = this;
+
+        if (vertexCount + 6 >= MAX_VERTICES) {
+            this.endGeometry().beginGeometry();
+        }
+
+        return this
+            .addVertex(x, y, u0, v0, r0, g0, b0, a0)
+            .addVertex(x + width, y, u1, v0, r0, g0, b0, a0)
+            .addVertex(x + width, y + height, u1, v1, r1, g1, b1, a1)
+            .addVertex(x, y, u0, v0, r0, g0, b0, a0)
+            .addVertex(x + width, y + height, u1, v1, r1, g1, b1, a1)
+            .addVertex(x, y + height, u0, v1, r1, g1, b1, a1);
+    }
+
     drawRectangleOffCenter(x, y, width, height, u0, v0, u1, v1, r, g, b, a) {
         const halfWidth = width / 2;
         const halfHeight = height / 2;
@@ -983,6 +1002,16 @@ export class SpriteBatch {
         return this.addCommand(texture, 'drawRectangle', [...arguments].slice(1));
     }
 
+    drawGradientRectangle(
+        texture,
+        _x, _y, _width, _height,
+        _u0, _v0, _u1, _v1,
+        _r0, _g0, _b0, _a0,
+        _r1, _g1, _b1, _a1
+    ) {
+        return this.addCommand(texture, 'drawGradientRectangle', [...arguments].slice(1));
+    }
+
     drawRectangleOffCenter(
         texture,
         _x, _y, _width, _height,
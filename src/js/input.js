@@ -0,0 +1,265 @@
+import { GamepadInput } from './gamepad.js';
+
+/** Keys that can be bound to an action at once. */
+export const KEYS_PER_ACTION = 2;
+
+/** Names of the keys whose code doesn't read well. */
+const KEY_NAMES = {
+    ArrowLeft: 'Влево',
+    ArrowRight: 'Вправо',
+    ArrowUp: 'Вверх',
+    ArrowDown: 'Вниз',
+    Space: 'Пробел',
+    Escape: 'Esc',
+    Enter: 'Enter',
+    ShiftLeft: 'Левый Shift',
+    ShiftRight: 'Правый Shift',
+    ControlLeft: 'Левый Ctrl',
+    ControlRight: 'Правый Ctrl',
+    AltLeft: 'Левый Alt',
+    AltRight: 'Правый Alt',
+};
+
+/**
+ * Returns the name of the key to show to the player.
+ *
+ * @param {string} code
+ */
+export function getKeyName(code) {
+    if (code in KEY_NAMES) return KEY_NAMES[code];
+
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return 'Num ' + code.slice(6);
+
+    return code;
+}
+
+/**
+ * Maps the keyboard, pointers and gamepads to named actions.
+ *
+ * Actions are held while any of their inputs is held. Presses and releases are found once a frame by `update`,
+ * and a key tapped between two updates still counts as pressed.
+ */
+export class InputSystem {
+    /**
+     * @param {Object.<string, string[]>} defaultBindings Keys that drive each action by default.
+     * @param {Object.<string, number[]>} actionButtons Standard mapping gamepad buttons that drive each action.
+     * @param {Object.<string, [number, number]>} stickActions Left stick axis and direction that drive each action.
+     * @param {string} storageKey localStorage key the key bindings are saved under.
+     */
+    constructor(defaultBindings, actionButtons, stickActions, storageKey) {
+        this.defaultBindings = defaultBindings;
+        this.storageKey = storageKey;
+        this.bindings = this.loadBindings();
+
+        this.gamepads = new GamepadInput(actionButtons, stickActions);
+
+        /** @type {Set<string>} Codes of the keys that are down. */
+        this.keys = new Set();
+
+        /** @type {Map<number, string|null>} Actions held by the pointers that are down, by pointer id. */
+        this.pointerActions = new Map();
+
+        /** @type {Set<string>} Actions pressed since the last update. */
+        this.tappedActions = new Set();
+
+        /** @type {Set<string>} */
+        this.heldActions = new Set();
+
+        /** @type {Set<string>} */
+        this.pressedActions = new Set();
+
+        /** @type {Set<string>} */
+        this.releasedActions = new Set();
+    }
+
+    /**
+     * Returns the saved key bindings, falling back to the default ones for the actions that weren't saved.
+     */
+    loadBindings() {
+        const { defaultBindings, storageKey } = this;
+
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(storageKey)) ?? {};
+        } catch (error) {
+            console.warn(`Can't load key bindings: ${error.message}`);
+        }
+
+        const bindings = {};
+        for (const [action, codes] of Object.entries(defaultBindings)) {
+            const savedCodes = saved[action];
+            const isValid = Array.isArray(savedCodes) && savedCodes.length <= KEYS_PER_ACTION && savedCodes.every(code => typeof code === 'string');
+            bindings[action] = isValid ? savedCodes : [...codes];
+        }
+
+        return bindings;
+    }
+
+    saveBindings() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+    }
+
+    /**
+     * Binds the key to the action in front of its other keys and unbinds it from the other actions.
+     *
+     * @param {string} action
+     * @param {string} code
+     * @param {string[]} actions Actions the key is unbound from, all of them by default.
+     */
+    bindKey(action, code, actions = Object.keys(this.bindings)) {
+        const { bindings } = this;
+
+        for (const other of actions)
+            bindings[other] = bindings[other].filter(c => c !== code);
+
+        bindings[action] = [code, ...bindings[action].filter(c => c !== code)].slice(0, KEYS_PER_ACTION);
+        this.saveBindings();
+    }
+
+    /**
+     * @param {string} action
+     */
+    clearKeys(action) {
+        this.bindings[action] = [];
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        for (const [action, codes] of Object.entries(this.defaultBindings))
+            this.bindings[action] = [...codes];
+
+        this.saveBindings();
+    }
+
+    /**
+     * @param {string} code
+     */
+    onKeyDown(code) {
+        this.keys.add(code);
+
+        for (const [action, codes] of Object.entries(this.bindings))
+            if (codes.includes(code))
+                this.tappedActions.add(action);
+    }
+
+    /**
+     * @param {string} code
+     */
+    onKeyUp(code) {
+        this.keys.delete(code);
+    }
+
+    /**
+     * Sets the action held by the pointer, or null if it holds none.
+     *
+     * @param {number} pointerId
+     * @param {string|null} action
+     */
+    setPointerAction(pointerId, action) {
+        const { pointerActions } = this;
+
+        if (action !== null && pointerActions.get(pointerId) !== action)
+            this.tappedActions.add(action);
+
+        pointerActions.set(pointerId, action);
+    }
+
+    /**
+     * @param {number} pointerId
+     */
+    hasPointer(pointerId) {
+        return this.pointerActions.has(pointerId);
+    }
+
+    /**
+     * @param {number} pointerId
+     */
+    removePointer(pointerId) {
+        this.pointerActions.delete(pointerId);
+    }
+
+    /**
+     * Releases every key and pointer, since their release isn't seen while the page is out of focus.
+     */
+    clear() {
+        this.keys.clear();
+        this.pointerActions.clear();
+        this.tappedActions.clear();
+    }
+
+    /**
+     * Drops the presses since the last update, so the keys that are down don't press their actions until released,
+     * e.g. after a key is bound.
+     */
+    discardPresses() {
+        this.tappedActions.clear();
+        this.heldActions = this.getHeldActions();
+    }
+
+    /**
+     * Returns the actions held by the keys, pointers and gamepads that are down.
+     */
+    getHeldActions() {
+        const { bindings, keys, pointerActions, gamepads } = this;
+
+        const heldActions = new Set();
+        for (const [action, codes] of Object.entries(bindings))
+            if (codes.some(code => keys.has(code)) || gamepads.isActionDown(action))
+                heldActions.add(action);
+
+        for (const action of pointerActions.values())
+            if (action !== null)
+                heldActions.add(action);
+
+        return heldActions;
+    }
+
+    /**
+     * Reads all inputs and finds the actions pressed and released since the last update. Should be called once a frame.
+     */
+    update() {
+        const { gamepads, tappedActions } = this;
+
+        for (const { action } of gamepads.poll())
+            tappedActions.add(action);
+
+        const heldActions = this.getHeldActions();
+
+        this.pressedActions = new Set([...heldActions].filter(action => !this.heldActions.has(action)));
+        for (const action of tappedActions)
+            this.pressedActions.add(action);
+
+        this.releasedActions = new Set([...this.heldActions].filter(action => !heldActions.has(action)));
+        this.heldActions = heldActions;
+        tappedActions.clear();
+    }
+
+    /**
+     * Whether the action is held.
+     *
+     * @param {string} action
+     */
+    isActionDown(action) {
+        return this.heldActions.has(action);
+    }
+
+    /**
+     * Whether the action was pressed before the last update.
+     *
+     * @param {string} action
+     */
+    isActionPressed(action) {
+        return this.pressedActions.has(action);
+    }
+
+    /**
+     * Whether the action was released before the last update.
+     *
+     * @param {string} action
+     */
+    isActionReleased(action) {
+        return this.releasedActions.has(action);
+    }
+}
@@ -0,0 +1,29 @@
+export class Inventory {
+    constructor() {
+        /** @type {Map<number, { typeId: number, count: number, value: number }>} */
+        this.items = new Map();
+        this.totalCount = 0;
+        this.totalValue = 0;
+    }
+
+    /**
+     * @param {number} typeId
+     * @param {number} value
+     */
+    add(typeId, value) {
+        const { items } = this;
+
+        const item = items.get(typeId);
+        if (item) {
+            item.count++;
+            item.value += value;
+        } else {
+            items.set(typeId, { typeId, count: 1, value });
+        }
+
+        this.totalCount++;
+        this.totalValue += value;
+
+        return this;
+    }
+}
@@ -0,0 +1,189 @@
+import { BiomeRegistry } from './biomes.js';
+import { LevelGenerator } from './generator.js';
+import { TileRegistry } from './tiles.js';
+
+export const DEFAULT_COLUMNS = 7;
+export const MIN_COLUMNS = 5;
+export const MAX_COLUMNS = 21;
+
+/** Legend character that always means empty space. */
+const EMPTY_CHAR = '.';
+
+/**
+ * @typedef {Object} Level
+ * @property {string} name
+ * @property {string} author
+ * @property {string} description
+ * @property {number} columns
+ * @property {number[][]} rows Tile type ids, row by row.
+ * @property {{ x: number, y: number }} spawn Player start position.
+ * @property {number|null} continueAfterRow Row after which the level continues procedurally, or null if it ends with the last row.
+ */
+
+/**
+ * @param {number} columns
+ */
+export function isValidColumns(columns) {
+    return Number.isInteger(columns) && columns >= MIN_COLUMNS && columns <= MAX_COLUMNS;
+}
+
+/**
+ * Parses and validates a hand-authored level file.
+ *
+ * The level grid is a list of strings, one character per tile, decoded using the legend,
+ * which maps characters to tile names or ids. The `.` character is always empty space.
+ *
+ * @param {Object} data Parsed level file.
+ * @param {TileRegistry} tileTypes
+ * @param {string} fileName File name for the error messages.
+ * @returns {Level}
+ */
+export function parseLevel(data, tileTypes, fileName = 'level') {
+    const errors = [];
+
+    if (data === null || typeof data !== 'object')
+        throw new Error(`Can't load ${fileName}: must be an object`);
+
+    const { name, author = '', description = '', columns = DEFAULT_COLUMNS, legend, rows, spawn, continueAfterRow = null } = data;
+
+    if (typeof name !== 'string' || name === '')
+        errors.push('"name" must be a non-empty string');
+
+    if (typeof author !== 'string')
+        errors.push('"author" must be a string');
+
+    if (typeof description !== 'string')
+        errors.push('"description" must be a string');
+
+    if (!isValidColumns(columns))
+        errors.push(`"columns" must be an integer from ${MIN_COLUMNS} to ${MAX_COLUMNS}`);
+
+    /** @type {Map<string, number>} */
+    const tileIds = new Map([[EMPTY_CHAR, 0]]);
+    if (legend === null || typeof legend !== 'object') {
+        errors.push('"legend" must be an object');
+    } else {
+        for (const [char, tile] of Object.entries(legend)) {
+            if (char.length !== 1) {
+                errors.push(`legend: key "${char}" must be a single character`);
+            } else if (char === EMPTY_CHAR) {
+                errors.push(`legend: "${EMPTY_CHAR}" is reserved for empty space`);
+            } else if (typeof tile === 'number') {
+                if (tileTypes.get(tile) === undefined)
+                    errors.push(`legend: "${char}" refers to unknown tile id ${tile}`);
+                else
+                    tileIds.set(char, tile);
+            } else if (typeof tile === 'string') {
+                const type = tileTypes.typesByName.get(tile);
+                if (type === undefined)
+                    errors.push(`legend: "${char}" refers to unknown tile "${tile}"`);
+                else
+                    tileIds.set(char, type.id);
+            } else {
+                errors.push(`legend: "${char}" must be a tile name or id`);
+            }
+        }
+    }
+
+    const level = { name, author, description, columns, rows: [], spawn: { x: Math.floor(columns / 2), y: 0 }, continueAfterRow };
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        errors.push('"rows" must be a non-empty array of strings');
+    } else {
+        for (let j = 0; j < rows.length; j++) {
+            const line = rows[j];
+            if (typeof line !== 'string') {
+                errors.push(`row ${j + 1}: must be a string`);
+                continue;
+            }
+
+            if (isValidColumns(columns) && line.length !== columns) {
+                errors.push(`row ${j + 1}: width is ${line.length}, expected ${columns}`);
+                continue;
+            }
+
+            const row = [];
+            for (let i = 0; i < line.length; i++) {
+                const tileId = tileIds.get(line[i]);
+                if (tileId === undefined) {
+                    errors.push(`row ${j + 1}, column ${i + 1}: unknown tile "${line[i]}"`);
+                    continue;
+                }
+
+                row.push(tileId);
+            }
+
+            level.rows.push(row);
+        }
+    }
+
+    if (typeof spawn !== 'undefined') {
+        if (spawn === null || typeof spawn !== 'object' || !Number.isInteger(spawn.x) || !Number.isInteger(spawn.y)) {
+            errors.push('"spawn" must be an object with integer "x" and "y"');
+        } else if (spawn.x < 0 || spawn.x >= columns || spawn.y < 0 || Array.isArray(rows) && spawn.y >= rows.length) {
+            errors.push(`"spawn" (${spawn.x}, ${spawn.y}) is outside of the level`);
+        } else if (level.rows[spawn.y]?.[spawn.x]) {
+            errors.push(`"spawn" (${spawn.x}, ${spawn.y}) is inside a tile`);
+        } else {
+            level.spawn = { x: spawn.x, y: spawn.y };
+        }
+    }
+
+    if (continueAfterRow !== null) {
+        if (!Number.isInteger(continueAfterRow) || continueAfterRow < 0)
+            errors.push('"continueAfterRow" must be a non-negative integer');
+        else if (Array.isArray(rows) && continueAfterRow > rows.length)
+            errors.push(`"continueAfterRow" is ${continueAfterRow}, but the level has only ${rows.length} rows`);
+    }
+
+    if (errors.length > 0)
+        throw new Error(`Can't load ${fileName}:\n` + errors.join('\n'));
+
+    return level;
+}
+
+/**
+ * Supplies the world with the rows of a hand-authored level,
+ * then with procedurally generated rows if the level continues, or with empty rows otherwise.
+ */
+export class LevelRowSource {
+    /**
+     * @param {Level} level
+     * @param {string} seed Seed for the procedural continuation.
+     * @param {TileRegistry} tileTypes
+     * @param {BiomeRegistry|null} biomes
+     */
+    constructor(level, seed, tileTypes, biomes = null) {
+        const { columns, rows, continueAfterRow } = level;
+
+        this.level = level;
+        this.columns = columns;
+        this.rows = (continueAfterRow !== null) ? rows.slice(0, continueAfterRow) : rows;
+        this.generator = (continueAfterRow !== null) ? new LevelGenerator(seed, columns, tileTypes, biomes, continueAfterRow) : null;
+        this.depth = 0;
+    }
+
+    nextRow() {
+        const { columns, rows, generator } = this;
+
+        const depth = this.depth++;
+        if (depth < rows.length)
+            return rows[depth];
+
+        if (generator !== null)
+            return generator.nextRow();
+
+        return new Array(columns).fill(0);
+    }
+
+    /**
+     * Returns objects placed in the rows above the given one, which were not taken yet.
+     *
+     * @param {number} endRow
+     */
+    takeObjects(endRow) {
+        const { generator } = this;
+
+        return (generator !== null) ? generator.takeObjects(endRow) : [];
+    }
+}
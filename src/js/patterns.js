@@ -0,0 +1,164 @@
+/**
+ * @typedef {import('./generator.js').LevelGenerator} LevelGenerator
+ */
+
+/**
+ * @typedef {Object} RowPattern
+ * @property {string} name
+ * @property {number} weight Base chance of the pattern relative to the other patterns.
+ * @property {number} minDepth Depth from which the pattern can appear.
+ * @property {number} maxDepth Depth after which the pattern no longer appears.
+ * @property {number} difficulty Difficulty rating from 0 to 1. Patterns are more likely where it is close to the difficulty curve.
+ * @property {(generator: LevelGenerator) => number[][]} generate Creates one or more rows.
+ */
+
+/** Depth at which the difficulty reaches half of its maximum. */
+const DIFFICULTY_HALF_DEPTH = 400;
+
+/** Weight of a pattern is never scaled below this, so every pattern stays possible within its depth range. */
+const MIN_DIFFICULTY_SCALE = 0.1;
+
+/**
+ * Returns the difficulty from 0 at the surface, growing towards 1 with depth.
+ *
+ * @param {number} depth
+ */
+export function getDifficulty(depth) {
+    return depth / (depth + DIFFICULTY_HALF_DEPTH);
+}
+
+/**
+ * Returns the factor the spawn weight of the wall tile is multiplied by at the difficulty.
+ *
+ * @param {number} difficulty
+ */
+export function getWallDensityScale(difficulty) {
+    return 1 + 2 * difficulty;
+}
+
+/**
+ * @param {RowPattern} pattern
+ * @param {number} depth
+ * @param {number} difficulty
+ */
+export function getPatternWeight(pattern, depth, difficulty) {
+    if (depth < pattern.minDepth || depth > pattern.maxDepth) return 0;
+
+    return pattern.weight * Math.max(1 - Math.abs(pattern.difficulty - difficulty), MIN_DIFFICULTY_SCALE);
+}
+
+/**
+ * @param {LevelGenerator} generator
+ * @param {number} height
+ * @param {(i: number, j: number) => boolean} isWall
+ */
+function createRows(generator, height, isWall) {
+    const { columns, wallTypeId } = generator;
+
+    const rows = [];
+    for (let j = 0; j < height; j++) {
+        const row = [];
+        for (let i = 0; i < columns; i++)
+            row.push(isWall(i, j) ? wallTypeId : generator.getNextBlockType());
+
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/** @type {RowPattern[]} */
+export const ROW_PATTERNS = [
+    {
+        name: 'plain',
+        weight: 73,
+        minDepth: 0,
+        maxDepth: Infinity,
+        difficulty: 0,
+        generate: generator => [generator.createRow(generator.columns)],
+    },
+    {
+        name: 'edgeWalls',
+        weight: 9,
+        minDepth: 0,
+        maxDepth: Infinity,
+        difficulty: 0.3,
+        generate: generator => [generator.createEdgeWallsRow(), generator.createRow(generator.columns)],
+    },
+    {
+        name: 'centerWall',
+        weight: 8,
+        minDepth: 0,
+        maxDepth: Infinity,
+        difficulty: 0.3,
+        generate: generator => [generator.createCenterWallRow(), generator.createRow(generator.columns)],
+    },
+    {
+        name: 'checkerWalls',
+        weight: 7,
+        minDepth: 0,
+        maxDepth: Infinity,
+        difficulty: 0.4,
+        generate: generator => [generator.createCheckerWallsRow(), generator.createRow(generator.columns)],
+    },
+    {
+        // An empty elliptic pocket with loose tiles above it
+        name: 'cavern',
+        weight: 4,
+        minDepth: 30,
+        maxDepth: Infinity,
+        difficulty: 0.5,
+        generate: generator => {
+            const { columns, random } = generator;
+
+            const height = 3 + random.nextInt(3);
+            const center = (columns - 1) / 2;
+            const rows = [];
+            for (let j = 0; j < height; j++) {
+                const t = (j + 0.5) / height * 2 - 1;
+                const halfWidth = (columns / 2 - 1) * Math.sqrt(1 - t * t);
+
+                const row = [];
+                for (let i = 0; i < columns; i++)
+                    row.push((Math.abs(i - center) < halfWidth) ? 0 : generator.getNextBlockType());
+
+                rows.push(row);
+            }
+
+            return rows;
+        },
+    },
+    {
+        // Walls growing from the edges towards a narrow opening in the center
+        name: 'funnel',
+        weight: 3,
+        minDepth: 60,
+        maxDepth: Infinity,
+        difficulty: 0.7,
+        generate: generator => {
+            const { columns } = generator;
+
+            const maxWallWidth = Math.floor((columns - 1) / 2);
+            const height = Math.min(maxWallWidth, 4);
+            return createRows(generator, height, (i, j) => {
+                const wallWidth = Math.min(j + 1, maxWallWidth);
+                return i < wallWidth || i >= columns - wallWidth;
+            });
+        },
+    },
+    {
+        // Two vertical walls splitting the shaft into three lanes
+        name: 'pillars',
+        weight: 3,
+        minDepth: 100,
+        maxDepth: Infinity,
+        difficulty: 0.8,
+        generate: generator => {
+            const { columns } = generator;
+
+            const left = Math.round((columns - 1) / 3);
+            const right = columns - 1 - left;
+            return createRows(generator, 4, i => i === left || i === right);
+        },
+    },
+];
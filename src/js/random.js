@@ -0,0 +1,67 @@
+export class Random {
+    /**
+     * @param {number} seed
+     */
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Returns a pseudo-random number in the [0, 1) range (mulberry32).
+     */
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns a pseudo-random integer in the [0, max) range.
+     *
+     * @param {number} max
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+/**
+ * Converts a seed string into a 32-bit integer (FNV-1a).
+ *
+ * @param {string} str
+ */
+export function hashString(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Hashes the numbers by their 64-bit float representation (FNV-1a), so equal states give equal hashes.
+ *
+ * @param {number[]} values
+ */
+export function hashNumbers(values) {
+    const bytes = new Uint8Array(new Float64Array(values).buffer);
+
+    let hash = 0x811C9DC5;
+    for (const byte of bytes) {
+        hash ^= byte;
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Creates a new short seed string that can be shared via URL.
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 4294967296).toString(36);
+}
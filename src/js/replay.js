@@ -0,0 +1,197 @@
+import { isValidColumns } from './level.js';
+
+export const REPLAY_VERSION = 1;
+
+/** Steps between two recorded checksums, a second of the run. */
+export const CHECKSUM_INTERVAL = 60;
+
+/** Actions that drive the simulation, recorded every step by their bit in the step mask. */
+export const RECORDED_ACTIONS = ['moveLeft', 'moveRight', 'digDown', 'digUp'];
+
+/**
+ * @typedef {Object} RunSettings
+ * @property {string} seed
+ * @property {string} difficulty
+ * @property {number} columns
+ * @property {string|null} level Name of the hand-authored level, or null for procedural levels.
+ */
+
+/**
+ * @param {Set<string>} actions
+ */
+function encodeActions(actions) {
+    let mask = 0;
+    for (let i = 0; i < RECORDED_ACTIONS.length; i++)
+        if (actions.has(RECORDED_ACTIONS[i]))
+            mask |= 1 << i;
+
+    return mask;
+}
+
+/**
+ * @param {number} mask
+ */
+function decodeActions(mask) {
+    return new Set(RECORDED_ACTIONS.filter((action, i) => (mask & (1 << i)) !== 0));
+}
+
+/**
+ * Records the actions held every step of a run, run-length encoded, and checksums of the simulation state.
+ */
+export class ReplayRecorder {
+    /**
+     * @param {RunSettings} settings
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.steps = 0;
+
+        /** @type {number[]} Action masks, each followed by the number of steps it is held for. */
+        this.inputs = [];
+
+        /** @type {number[]} Steps, each followed by the checksum of the state after it. */
+        this.checksums = [];
+    }
+
+    /**
+     * Records the actions held during the next step.
+     *
+     * @param {Set<string>} actions
+     */
+    record(actions) {
+        const { inputs } = this;
+
+        const mask = encodeActions(actions);
+        if (inputs.length > 0 && inputs[inputs.length - 2] === mask)
+            inputs[inputs.length - 1]++;
+        else
+            inputs.push(mask, 1);
+
+        this.steps++;
+    }
+
+    /**
+     * Records the checksum of the state after the last recorded step.
+     *
+     * @param {number} checksum
+     */
+    addChecksum(checksum) {
+        const { checksums, steps } = this;
+
+        if (checksums[checksums.length - 2] !== steps)
+            checksums.push(steps, checksum);
+    }
+
+    /**
+     * Returns the replay file contents.
+     */
+    serialize() {
+        const { settings, steps, inputs, checksums } = this;
+
+        return JSON.stringify({ version: REPLAY_VERSION, ...settings, steps, inputs, checksums });
+    }
+}
+
+/**
+ * Recorded run that is played back step by step.
+ */
+export class Replay {
+    /**
+     * @param {RunSettings} settings
+     * @param {Uint8Array} masks Action mask of every step.
+     * @param {Map<number, number>} checksums Checksums by the step they were taken after.
+     */
+    constructor(settings, masks, checksums) {
+        this.settings = settings;
+        this.masks = masks;
+        this.checksums = checksums;
+    }
+
+    get steps() { return this.masks.length; }
+
+    /**
+     * Returns the actions held during the step.
+     *
+     * @param {number} step
+     */
+    getActions(step) {
+        return decodeActions(this.masks[step] ?? 0);
+    }
+
+    /**
+     * Returns the checksum of the state after the number of steps, or undefined if none was recorded.
+     *
+     * @param {number} steps
+     */
+    getChecksum(steps) {
+        return this.checksums.get(steps);
+    }
+}
+
+/**
+ * Parses and validates a replay file.
+ *
+ * @param {Object} data Parsed replay file.
+ * @param {string} fileName File name for the error messages.
+ * @returns {Replay}
+ */
+export function parseReplay(data, fileName = 'replay') {
+    const errors = [];
+
+    if (data === null || typeof data !== 'object')
+        throw new Error(`Can't load ${fileName}: must be an object`);
+
+    const { version, seed, difficulty, columns, level = null, steps, inputs, checksums } = data;
+
+    if (version !== REPLAY_VERSION)
+        errors.push(`"version" is ${version}, expected ${REPLAY_VERSION}`);
+
+    if (typeof seed !== 'string' || seed === '')
+        errors.push('"seed" must be a non-empty string');
+
+    if (typeof difficulty !== 'string')
+        errors.push('"difficulty" must be a string');
+
+    if (!isValidColumns(columns))
+        errors.push('"columns" must be a valid column count');
+
+    if (level !== null && typeof level !== 'string')
+        errors.push('"level" must be a string or null');
+
+    if (!Number.isInteger(steps) || steps < 0)
+        errors.push('"steps" must be a non-negative integer');
+
+    const masks = new Uint8Array(Number.isInteger(steps) && steps > 0 ? steps : 0);
+    if (!Array.isArray(inputs) || inputs.length % 2 !== 0) {
+        errors.push('"inputs" must be an array of action masks and step counts');
+    } else {
+        let step = 0;
+        for (let i = 0; i < inputs.length; i += 2) {
+            const mask = inputs[i];
+            const count = inputs[i + 1];
+            if (!Number.isInteger(mask) || mask < 0 || mask >= 1 << RECORDED_ACTIONS.length || !Number.isInteger(count) || count < 1) {
+                errors.push(`inputs: entry ${i / 2 + 1} is invalid`);
+                break;
+            }
+
+            masks.fill(mask, step, step + count);
+            step += count;
+        }
+
+        if (step !== steps)
+            errors.push(`inputs: cover ${step} steps, expected ${steps}`);
+    }
+
+    /** @type {Map<number, number>} */
+    const checksumsByStep = new Map();
+    if (!Array.isArray(checksums) || checksums.length % 2 !== 0 || !checksums.every(Number.isInteger))
+        errors.push('"checksums" must be an array of steps and checksums');
+    else
+        for (let i = 0; i < checksums.length; i += 2)
+            checksumsByStep.set(checksums[i], checksums[i + 1]);
+
+    if (errors.length > 0)
+        throw new Error(`Can't load ${fileName}:\n` + errors.join('\n'));
+
+    return new Replay({ seed, difficulty, columns, level }, masks, checksumsByStep);
+}
@@ -0,0 +1,174 @@
+/**
+ * @typedef {Object} SpatialEntry
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ * @property {Set<Object>[]} buckets Buckets of the cells the object is in.
+ */
+
+/**
+ * Grid of unit cells, which stores objects by the cells their bounds overlap, for fast point and rectangle queries.
+ * Bounds are inclusive, so an object touching a cell border is in both cells.
+ */
+export class SpatialGrid {
+    constructor() {
+        /** @type {Map<number, Map<number, Set<Object>>>} Buckets by column, then by row. */
+        this.columns = new Map();
+
+        /** @type {Map<Object, SpatialEntry>} */
+        this.entries = new Map();
+    }
+
+    /**
+     * @param {number} column
+     * @param {number} row
+     * @param {boolean} create Whether to create the bucket if it doesn't exist.
+     */
+    getBucket(column, row, create = false) {
+        const { columns } = this;
+
+        let rows = columns.get(column);
+        if (typeof rows === 'undefined') {
+            if (!create) return null;
+
+            columns.set(column, rows = new Map());
+        }
+
+        let bucket = rows.get(row);
+        if (typeof bucket === 'undefined') {
+            if (!create) return null;
+
+            rows.set(row, bucket = new Set());
+        }
+
+        return bucket;
+    }
+
+    /**
+     * @param {Object} object
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     */
+    insert(object, x, y, width = 1, height = 1) {
+        if (this.entries.has(object))
+            this.remove(object);
+
+        const buckets = [];
+        for (let column = Math.floor(x); column <= Math.floor(x + width); column++) {
+            for (let row = Math.floor(y); row <= Math.floor(y + height); row++) {
+                const bucket = this.getBucket(column, row, true);
+                bucket.add(object);
+                buckets.push(bucket);
+            }
+        }
+
+        this.entries.set(object, { x, y, width, height, buckets });
+
+        return this;
+    }
+
+    /**
+     * Moves the object, changing its buckets only when it moves to other cells.
+     *
+     * @param {Object} object
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     */
+    update(object, x, y, width = 1, height = 1) {
+        const entry = this.entries.get(object);
+        if (typeof entry === 'undefined'
+            || Math.floor(entry.x) !== Math.floor(x) || Math.floor(entry.x + entry.width) !== Math.floor(x + width)
+            || Math.floor(entry.y) !== Math.floor(y) || Math.floor(entry.y + entry.height) !== Math.floor(y + height))
+            return this.insert(object, x, y, width, height);
+
+        entry.x = x;
+        entry.y = y;
+        entry.width = width;
+        entry.height = height;
+
+        return this;
+    }
+
+    /**
+     * @param {Object} object
+     */
+    remove(object) {
+        const { columns, entries } = this;
+
+        const entry = entries.get(object);
+        if (typeof entry === 'undefined') return this;
+
+        for (const bucket of entry.buckets)
+            bucket.delete(object);
+
+        entries.delete(object);
+
+        // Drop empty buckets, so the grid doesn't grow as objects fall deeper
+        for (let column = Math.floor(entry.x); column <= Math.floor(entry.x + entry.width); column++) {
+            const rows = columns.get(column);
+            for (let row = Math.floor(entry.y); row <= Math.floor(entry.y + entry.height); row++)
+                if (rows.get(row)?.size === 0)
+                    rows.delete(row);
+
+            if (rows.size === 0)
+                columns.delete(column);
+        }
+
+        return this;
+    }
+
+    /**
+     * Returns objects whose bounds contain the point.
+     *
+     * @param {number} x
+     * @param {number} y
+     */
+    queryPoint(x, y) {
+        const { entries } = this;
+
+        const bucket = this.getBucket(Math.floor(x), Math.floor(y));
+        if (bucket === null) return [];
+
+        const result = [];
+        for (const object of bucket) {
+            const entry = entries.get(object);
+            if (entry.x <= x && entry.y <= y && entry.x + entry.width >= x && entry.y + entry.height >= y)
+                result.push(object);
+        }
+
+        return result;
+    }
+
+    /**
+     * Returns objects whose bounds overlap the rectangle.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     */
+    queryRect(x, y, width, height) {
+        const { entries } = this;
+
+        const result = new Set();
+        for (let column = Math.floor(x); column <= Math.floor(x + width); column++) {
+            for (let row = Math.floor(y); row <= Math.floor(y + height); row++) {
+                const bucket = this.getBucket(column, row);
+                if (bucket === null) continue;
+
+                for (const object of bucket) {
+                    const entry = entries.get(object);
+                    if (entry.x <= x + width && entry.y <= y + height && entry.x + entry.width >= x && entry.y + entry.height >= y)
+                        result.add(object);
+                }
+            }
+        }
+
+        return [...result];
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * @typedef {Object} TileType
+ * @property {number} id Tile type id, from 1 to 255. Id 0 is reserved for empty space.
+ * @property {string} name Unique tile name.
+ * @property {string} texture Texture name in the assets directory.
+ * @property {number} hardness Time to break the tile, in milliseconds.
+ * @property {'fall'|'static'} gravity Whether the tile falls when there is nothing below it.
+ * @property {boolean} clusters Whether the tile joins adjacent tiles of the same type, which break together.
+ * @property {string} breakSound Sound played when the tile is broken.
+ * @property {string} landSound Sound played when the falling tile lands.
+ * @property {{ value: number }|null} drop What the player gets when the tile is broken.
+ * @property {{ depth: number, weight: number }[]} spawn Spawn weight keyframes, interpolated by depth.
+ */
+
+const GRAVITY_VALUES = ['fall', 'static'];
+
+export class TileRegistry {
+    /**
+     * @param {Object} data Parsed tile definition file.
+     * @param {Object} options
+     * @param {string[]} [options.sounds] Known sound names to check the definitions against.
+     * @param {string[]} [options.required] Names of the tiles the game refers to, which must be defined.
+     */
+    constructor(data, { sounds = null, required = [] } = {}) {
+        /** @type {Map<number, TileType>} */
+        this.types = new Map();
+
+        /** @type {Map<string, TileType>} */
+        this.typesByName = new Map();
+
+        const errors = [];
+        if (data === null || typeof data !== 'object' || !Array.isArray(data.tiles)) {
+            errors.push('"tiles" must be an array');
+        } else {
+            for (let i = 0; i < data.tiles.length; i++)
+                this.add(data.tiles[i], i, sounds, errors);
+
+            for (const name of required)
+                if (!this.typesByName.has(name))
+                    errors.push(`tile "${name}" is required`);
+        }
+
+        if (errors.length > 0)
+            throw new Error("Can't load tile definitions:\n" + errors.join('\n'));
+    }
+
+    /**
+     * @param {Object} definition
+     * @param {number} index
+     * @param {string[]|null} sounds
+     * @param {string[]} errors
+     */
+    add(definition, index, sounds, errors) {
+        const { types, typesByName } = this;
+
+        if (definition === null || typeof definition !== 'object') {
+            errors.push(`tile #${index}: must be an object`);
+            return;
+        }
+
+        const { id, name, texture, hardness, gravity, clusters, breakSound, landSound, drop, spawn } = definition;
+        const prefix = `tile #${index}` + (typeof name === 'string' ? ` ("${name}")` : '');
+        const errorCount = errors.length;
+
+        if (!Number.isInteger(id) || id < 1 || id > 255)
+            errors.push(`${prefix}: "id" must be an integer from 1 to 255`);
+        else if (types.has(id))
+            errors.push(`${prefix}: "id" ${id} is already used by "${types.get(id).name}"`);
+
+        if (typeof name !== 'string' || name === '')
+            errors.push(`${prefix}: "name" must be a non-empty string`);
+        else if (typesByName.has(name))
+            errors.push(`${prefix}: "name" is already used by tile ${typesByName.get(name).id}`);
+
+        if (typeof texture !== 'string' || texture === '')
+            errors.push(`${prefix}: "texture" must be a non-empty string`);
+
+        if (typeof hardness !== 'number' || !(hardness > 0))
+            errors.push(`${prefix}: "hardness" must be a positive number`);
+
+        if (!GRAVITY_VALUES.includes(gravity))
+            errors.push(`${prefix}: "gravity" must be one of ${GRAVITY_VALUES.map(value => `"${value}"`).join(', ')}`);
+
+        if (typeof clusters !== 'boolean')
+            errors.push(`${prefix}: "clusters" must be a boolean`);
+
+        for (const [key, value] of [['breakSound', breakSound], ['landSound', landSound]]) {
+            if (typeof value !== 'string')
+                errors.push(`${prefix}: "${key}" must be a string`);
+            else if (sounds !== null && !sounds.includes(value))
+                errors.push(`${prefix}: "${key}" refers to unknown sound "${value}"`);
+        }
+
+        if (drop !== null && (typeof drop !== 'object' || typeof drop.value !== 'number' || drop.value < 0))
+            errors.push(`${prefix}: "drop" must be null or an object with a non-negative "value"`);
+
+        if (!Array.isArray(spawn)) {
+            errors.push(`${prefix}: "spawn" must be an array`);
+        } else {
+            for (let i = 0; i < spawn.length; i++) {
+                const keyframe = spawn[i];
+                if (keyframe === null || typeof keyframe !== 'object' || typeof keyframe.depth !== 'number' || typeof keyframe.weight !== 'number' || keyframe.weight < 0)
+                    errors.push(`${prefix}: "spawn[${i}]" must be an object with a "depth" and a non-negative "weight"`);
+                else if (i > 0 && spawn[i - 1].depth > keyframe.depth)
+                    errors.push(`${prefix}: "spawn" keyframes must be sorted by depth`);
+            }
+        }
+
+        if (errors.length > errorCount) return;
+
+        const type = { id, name, texture, hardness, gravity, clusters, breakSound, landSound, drop, spawn };
+        types.set(id, type);
+        typesByName.set(name, type);
+    }
+
+    /**
+     * @param {number} id
+     */
+    get(id) {
+        return this.types.get(id);
+    }
+
+    /**
+     * @param {string} name
+     */
+    getByName(name) {
+        const type = this.typesByName.get(name);
+        if (typeof type === 'undefined')
+            throw new Error(`Unknown tile "${name}"`);
+
+        return type;
+    }
+
+    /**
+     * Names of all textures used by the tiles.
+     */
+    get textures() {
+        return [...new Set([...this.types.values()].map(type => type.texture))];
+    }
+
+    /**
+     * @param {TileType} type
+     * @param {number} depth
+     */
+    getSpawnWeight(type, depth) {
+        const { spawn } = type;
+        if (spawn.length === 0) return 0;
+
+        if (depth <= spawn[0].depth) return spawn[0].weight;
+
+        for (let i = 1; i < spawn.length; i++) {
+            const next = spawn[i];
+            if (depth > next.depth) continue;
+
+            const prev = spawn[i - 1];
+            const t = (next.depth > prev.depth) ? (depth - prev.depth) / (next.depth - prev.depth) : 1;
+            return prev.weight + t * (next.weight - prev.weight);
+        }
+
+        return spawn[spawn.length - 1].weight;
+    }
+}
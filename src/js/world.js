@@ -0,0 +1,178 @@
+import { ClusterIndex } from './clusters.js';
+import { LevelGenerator } from './generator.js';
+import { LevelRowSource } from './level.js';
+import { TileRegistry } from './tiles.js';
+
+export const CHUNK_ROWS = 32;
+
+/** Rows below the visible area that are generated in advance. */
+const GENERATE_AHEAD_ROWS = CHUNK_ROWS;
+
+/** Rows above the visible area that are kept before a chunk is discarded. */
+const KEEP_BEHIND_ROWS = 2 * CHUNK_ROWS;
+
+/**
+ * Stores the level as row chunks, which are generated on demand and discarded once they are far above the view.
+ */
+export class World {
+    /**
+     * @param {LevelGenerator|LevelRowSource} rowSource
+     * @param {TileRegistry} tileTypes
+     */
+    constructor(rowSource, tileTypes) {
+        this.rowSource = rowSource;
+        this.columns = rowSource.columns;
+        this.clusters = new ClusterIndex(this.columns, typeId => tileTypes.get(typeId).clusters);
+
+        /** @type {Map<number, Uint8Array>} */
+        this.chunks = new Map();
+
+        /** Index of the first chunk that is not discarded yet. */
+        this.firstChunk = 0;
+
+        /** Index of the next chunk to generate. */
+        this.nextChunk = 0;
+
+        /** @type {import('./generator.js').ObjectSpawn[]} Objects placed in the generated chunks, waiting to be spawned. */
+        this.spawnQueue = [];
+    }
+
+    /** First row that is not discarded yet. */
+    get firstRow() { return this.firstChunk * CHUNK_ROWS; }
+
+    generateChunk() {
+        const { columns, rowSource, clusters } = this;
+
+        const tiles = new Uint8Array(columns * CHUNK_ROWS);
+        for (let j = 0; j < CHUNK_ROWS; j++)
+            tiles.set(rowSource.nextRow(), j * columns);
+
+        const firstRow = this.nextChunk * CHUNK_ROWS;
+        for (let i = 0; i < tiles.length; i++)
+            if (tiles[i] !== 0)
+                clusters.add(i % columns, firstRow + Math.floor(i / columns), tiles[i]);
+
+        this.chunks.set(this.nextChunk++, tiles);
+        this.spawnQueue.push(...rowSource.takeObjects(this.nextChunk * CHUNK_ROWS));
+
+        return tiles;
+    }
+
+    /**
+     * @param {number} index
+     */
+    discardChunk(index) {
+        const { columns, chunks, clusters } = this;
+
+        const tiles = chunks.get(index);
+        const firstRow = index * CHUNK_ROWS;
+        for (let i = 0; i < tiles.length; i++)
+            if (tiles[i] !== 0)
+                clusters.remove(i % columns, firstRow + Math.floor(i / columns));
+
+        chunks.delete(index);
+    }
+
+    /**
+     * Returns the chunk by its index, generating it and all chunks before it if needed.
+     * Returns null for discarded chunks.
+     *
+     * @param {number} index
+     */
+    getChunk(index) {
+        if (index < this.firstChunk) return null;
+
+        while (this.nextChunk <= index)
+            this.generateChunk();
+
+        return this.chunks.get(index);
+    }
+
+    getTile(x, y) {
+        const { columns } = this;
+
+        if (x < 0 || y < 0 || x >= columns) return 0;
+
+        const row = Math.floor(y);
+        const chunk = this.getChunk(Math.floor(row / CHUNK_ROWS));
+        if (chunk === null) return 0;
+
+        return chunk[Math.floor(x) + (row % CHUNK_ROWS) * columns];
+    }
+
+    setTile(x, y, tileTypeId) {
+        const { columns, clusters } = this;
+
+        if (x < 0 || y < 0 || x >= columns) return;
+
+        const row = Math.floor(y);
+        const chunk = this.getChunk(Math.floor(row / CHUNK_ROWS));
+        if (chunk === null) return;
+
+        const column = Math.floor(x);
+        const index = column + (row % CHUNK_ROWS) * columns;
+        if (chunk[index] === tileTypeId) return;
+
+        if (chunk[index] !== 0)
+            clusters.remove(column, row);
+
+        chunk[index] = tileTypeId;
+
+        if (tileTypeId !== 0)
+            clusters.add(column, row, tileTypeId);
+    }
+
+    /**
+     * Returns the cluster of adjacent tiles of the same type the tile belongs to, or null for empty tiles.
+     *
+     * @param {number} x
+     * @param {number} y
+     */
+    getCluster(x, y) {
+        if (this.getTile(x, y) === 0) return null;
+
+        return this.clusters.getCluster(Math.floor(x), Math.floor(y));
+    }
+
+    /**
+     * Returns positions of the tiles in the cluster the tile belongs to.
+     *
+     * @param {number} x
+     * @param {number} y
+     */
+    getClusterTiles(x, y) {
+        const cluster = this.getCluster(x, y);
+        if (cluster === null) return [];
+
+        return this.clusters.getTiles(cluster);
+    }
+
+    /**
+     * Returns objects placed in the generated chunks since the last call.
+     */
+    takeSpawns() {
+        const { spawnQueue } = this;
+
+        this.spawnQueue = [];
+
+        return spawnQueue;
+    }
+
+    /**
+     * Generates chunks ahead of the visible rows and discards chunks far above them.
+     *
+     * @param {number} top First visible row.
+     * @param {number} bottom Last visible row.
+     */
+    update(top, bottom) {
+        this.getChunk(Math.floor(Math.max(bottom + GENERATE_AHEAD_ROWS, 0) / CHUNK_ROWS));
+
+        const firstChunk = Math.floor((top - KEEP_BEHIND_ROWS) / CHUNK_ROWS);
+        while (this.firstChunk < Math.min(firstChunk, this.nextChunk)) {
+            this.discardChunk(this.firstChunk);
+            this.firstChunk++;
+        }
+
+        return this;
+    }
+}
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { ClusterIndex } from '../src/js/clusters.js';
+
+/**
+ * @param {ClusterIndex} clusters
+ * @param {number[][]} tiles
+ */
+function addTiles(clusters, tiles, typeId = 1) {
+    for (const [x, y] of tiles)
+        clusters.add(x, y, typeId);
+}
+
+test('joins adjacent tiles of the same type', () => {
+    const clusters = new ClusterIndex(5, () => true);
+    addTiles(clusters, [[0, 0], [1, 0], [1, 1]]);
+    clusters.add(2, 0, 2);
+
+    assert.equal(clusters.getCluster(0, 0), clusters.getCluster(1, 1));
+    assert.notEqual(clusters.getCluster(0, 0), clusters.getCluster(2, 0));
+    assert.equal(clusters.getCluster(3, 3), null);
+});
+
+test('splits a cluster when a removed tile disconnects it', () => {
+    const clusters = new ClusterIndex(5, () => true);
+    addTiles(clusters, [[0, 0], [1, 0], [2, 0], [3, 0]]);
+    clusters.remove(1, 0);
+
+    const left = clusters.getCluster(0, 0);
+    const right = clusters.getCluster(2, 0);
+    assert.notEqual(left, right);
+    assert.deepEqual(clusters.getTiles(left), [{ x: 0, y: 0 }]);
+    assert.deepEqual(clusters.getTiles(right), [{ x: 2, y: 0 }, { x: 3, y: 0 }]);
+});
+
+test("returns tiles in the same order however the cluster was built", () => {
+    const build = shouldQuery => {
+        const clusters = new ClusterIndex(3, () => true);
+        addTiles(clusters, [[0, 0], [1, 0], [2, 0], [1, 1], [0, 2], [1, 2], [2, 1]]);
+        clusters.remove(1, 0);
+        if (shouldQuery)
+            clusters.getCluster(1, 1);
+
+        clusters.add(1, 0, 1);
+
+        return clusters.getTiles(clusters.getCluster(1, 1));
+    };
+
+    assert.deepEqual(build(true), build(false));
+});
+
+test('finds the tiles connected to a tile without splitting the cluster', () => {
+    const clusters = new ClusterIndex(5, () => true);
+    addTiles(clusters, [[0, 0], [1, 0], [2, 0], [3, 0]]);
+    clusters.remove(1, 0);
+
+    const cluster = clusters.clusters.get(clusters.labels.get(clusters.getKey(0, 0)));
+    assert.deepEqual([...clusters.getConnectedKeys(2, 0)].sort((a, b) => a - b), [clusters.getKey(2, 0), clusters.getKey(3, 0)]);
+    assert.deepEqual([...clusters.getConnectedKeys(0, 0)], [clusters.getKey(0, 0)]);
+    assert.equal(cluster.isDirty, true);
+    assert.equal(clusters.getConnectedKeys(1, 0).size, 0);
+});
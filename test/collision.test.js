@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { moveBox } from '../src/js/collision.js';
+
+/** Shaft with walls at x = 1 and x = 3 and the floor at y = 5. */
+const isSolid = (x, y) => x === 1 || x === 3 || y >= 5;
+
+test('stops at the first solid cell on each axis', () => {
+    const box = { x: 2, y: 0, width: 1, height: 1 };
+
+    const contacts = moveBox(box, 0, 10, isSolid);
+    assert.equal(box.y, 4);
+    assert.ok(contacts.ground);
+
+    assert.ok(moveBox(box, 0.5, 0, isSolid).right);
+    assert.equal(box.x, 2);
+
+    assert.ok(moveBox(box, -0.5, 0, isSolid).left);
+    assert.equal(box.x, 2);
+});
+
+test("fast movement doesn't skip over cells", () => {
+    const box = { x: 0, y: 2, width: 1, height: 1 };
+
+    moveBox(box, 5, 0, (x, y) => x === 4);
+    assert.equal(box.x, 3);
+});
+
+test('stops at other boxes and reports the box it landed on', () => {
+    const box = { x: 0, y: 0, width: 1, height: 1 };
+    const other = { x: 0, y: 3, width: 1, height: 1 };
+
+    const contacts = moveBox(box, 0, 10, () => false, [other]);
+    assert.equal(box.y, 2);
+    assert.equal(contacts.groundBox, other);
+});
+
+test("a box dropped into a gap off the grid can't walk into its walls", () => {
+    for (const [x, dx] of [[2.05, 0.2], [1.95, -0.2]]) {
+        const box = { x, y: 0, width: 1, height: 1 };
+        for (let i = 0; i < 40; i++)
+            moveBox(box, 0, 0.2, isSolid, [], 0.1);
+
+        assert.equal(box.y, 4);
+
+        for (let i = 0; i < 10; i++)
+            moveBox(box, dx, 0, isSolid, [], 0.1);
+
+        assert.equal(box.x, 2, `dropped in at x = ${x}`);
+    }
+});
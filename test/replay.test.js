@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { ReplayRecorder, parseReplay } from '../src/js/replay.js';
+
+const SETTINGS = { seed: 'abc', difficulty: 'normal', columns: 7, level: null };
+
+test('plays back the recorded actions and checksums', () => {
+    const recorder = new ReplayRecorder(SETTINGS);
+    const steps = [[], [], ['moveLeft'], ['moveLeft', 'digDown'], [], ['digUp']];
+    for (const actions of steps) {
+        recorder.record(new Set(actions));
+        recorder.addChecksum(recorder.steps * 7);
+    }
+
+    const replay = parseReplay(JSON.parse(recorder.serialize()));
+    assert.deepEqual(replay.settings, SETTINGS);
+    assert.equal(replay.steps, steps.length);
+
+    for (let i = 0; i < steps.length; i++) {
+        assert.deepEqual([...replay.getActions(i)].sort(), [...steps[i]].sort());
+        assert.equal(replay.getChecksum(i + 1), (i + 1) * 7);
+    }
+});
+
+test('rejects invalid files with all errors', () => {
+    assert.throws(
+        () => parseReplay({ version: 1, seed: '', difficulty: 'normal', columns: 7, steps: 3, inputs: [0, 2], checksums: [] }),
+        error => error.message.includes('"seed"') && error.message.includes('cover 2 steps, expected 3'),
+    );
+});
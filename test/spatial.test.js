@@ -0,0 +1,21 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { SpatialGrid } from '../src/js/spatial.js';
+
+test('finds objects by point and rectangle, and follows them as they move', () => {
+    const grid = new SpatialGrid();
+    const a = {};
+    const b = {};
+    grid.insert(a, 0, 0).insert(b, 5, 5);
+
+    assert.deepEqual(grid.queryPoint(0.5, 0.5), [a]);
+    assert.deepEqual(grid.queryRect(4, 4, 2, 2), [b]);
+
+    grid.update(a, 5.5, 5);
+    assert.deepEqual(grid.queryPoint(0.5, 0.5), []);
+    assert.deepEqual(new Set(grid.queryRect(4, 4, 2, 2)), new Set([a, b]));
+
+    grid.remove(a).remove(b);
+    assert.equal(grid.columns.size, 0);
+});
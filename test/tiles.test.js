@@ -0,0 +1,17 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+
+import { TileRegistry } from '../src/js/tiles.js';
+
+const data = JSON.parse(readFileSync(new URL('../assets/tiles.json', import.meta.url), 'utf8'));
+
+test('loads the tile definitions of the game', () => {
+    const tileTypes = new TileRegistry(data, { required: ['block', 'sand'] });
+    assert.equal(tileTypes.getByName('sand').name, 'sand');
+});
+
+test('rejects definitions without the required tiles', () => {
+    const tiles = data.tiles.filter(tile => tile.name !== 'sand');
+    assert.throws(() => new TileRegistry({ tiles }, { required: ['block', 'sand'] }), /tile "sand" is required/);
+});